@@ -18,9 +18,23 @@ class Engine3D {
         this.setupLights();
         this.setupControls();
         
+        this.architecture = null; // key of the network on show, set by buildNetwork
         this.layerNodes = [];
         this.connections = [];
+        this.bypasses = [];       // residual and skip tubes that jump over layers
+        this.conditionTubes = []; // tubes from the conditioning input into `conditioned` layers
+        this.conditionNode = null;
+        this.highlightedLayer = null;
         this.particles = [];
+        this.activeTimestep = 0; // diffusion ring cylinder of the sampling step on show (0 = none)
+        this.attentionLayouts = {}; // head ring of each attention layer, by layer index
+        
+        // Set by app.js: called with (layerIndex, headIndex) when an attention head is clicked
+        this.onAttentionHeadSelect = null;
+        
+        // Seeded streams: wiring/layout is rebuilt per network, effects drive per-frame motion
+        this.random = AppState.createRandom('network');
+        this.effectsRandom = AppState.createRandom('effects');
         
         this.animate();
     }
@@ -42,15 +56,23 @@ class Engine3D {
         this.scene.fog = new THREE.Fog(0x0a0e27, 30, 80);
         
         // Resize handler with forced sizing
-        window.addEventListener('resize', () => {
-            const container = this.canvas.parentElement;
-            this.canvas.width = container.clientWidth;
-            this.canvas.height = container.clientHeight;
-            
-            this.camera.aspect = container.clientWidth / container.clientHeight;
-            this.camera.updateProjectionMatrix();
-            this.renderer.setSize(container.clientWidth, container.clientHeight);
-        });
+        window.addEventListener('resize', () => this.resize());
+    }
+    
+    // Also called when the split-screen comparison changes the container's width
+    resize() {
+        const container = this.canvas.parentElement;
+        this.canvas.width = container.clientWidth;
+        this.canvas.height = container.clientHeight;
+        
+        this.camera.aspect = container.clientWidth / container.clientHeight;
+        this.camera.updateProjectionMatrix();
+        this.renderer.setSize(container.clientWidth, container.clientHeight);
+    }
+    
+    // The architecture this engine shows, which need not be the selected one (see ComparisonView)
+    getArch() {
+        return AppState.architectures[this.architecture] || AppState.getCurrentArch();
     }
     
     setupLights() {
@@ -217,16 +239,16 @@ class Engine3D {
         if (userData.type === 'lstm-gate') {
             this.showLSTMGateInfo(userData.gateType, userData.layerIndex);
         } else if (userData.type === 'attention-head') {
-            this.showAttentionHeadInfo(userData.headIndex);
+            this.showAttentionHeadInfo(userData.layerIndex, userData.headIndex);
         } else if (userData.type === 'qkv-node') {
             this.showQKVNodeInfo(userData.qkvType, userData.headIndex);
         } else if (userData.type === 'timestep') {
-            this.showTimestepInfo(userData.timestep, userData.noiseLevel);
+            this.showTimestepInfo(userData.timestep, userData.noiseLevel, userData.steps);
         } else if (userData.type === 'sampling-particle') {
             this.showVAESamplingInfo();
         } else if (userData.layerIndex !== undefined) {
             // Regular layer node
-            const layer = AppState.getCurrentArch().layers[userData.layerIndex];
+            const layer = this.getArch().layers[userData.layerIndex];
             if (layer) {
                 this.showLayerInfo(layer, userData.layerIndex);
             }
@@ -248,7 +270,7 @@ class Engine3D {
         } else if (userData.type === 'sampling-particle') {
             tooltipText = 'Latent Sample';
         } else if (userData.layerIndex !== undefined) {
-            const layer = AppState.getCurrentArch().layers[userData.layerIndex];
+            const layer = this.getArch().layers[userData.layerIndex];
             tooltipText = layer ? layer.name : 'Layer';
         }
         
@@ -314,7 +336,11 @@ class Engine3D {
         this.showDetailedInfo(`${gateType.toUpperCase()} Gate`, info);
     }
     
-    showAttentionHeadInfo(headIndex) {
+    showAttentionHeadInfo(layerIndex, headIndex) {
+        if (this.onAttentionHeadSelect) {
+            this.onAttentionHeadSelect(layerIndex, headIndex);
+            return;
+        }
         this.showDetailedInfo(
             `Attention Head ${headIndex}`,
             `Processes input sequence with learned attention patterns. Each head focuses on different aspects of the sequence.`
@@ -334,14 +360,18 @@ class Engine3D {
         );
     }
     
-    showTimestepInfo(timestep, noiseLevel) {
-        const process = timestep < 5 ? 'Forward (Adding Noise)' : 'Reverse (Denoising)';
+    showTimestepInfo(timestep, noiseLevel, steps) {
         this.showDetailedInfo(
             `Timestep ${timestep}`,
-            `${process}\nNoise Level: ${(noiseLevel * 100).toFixed(0)}%\nβ: ${(noiseLevel * 0.02).toFixed(4)}`
+            `Reverse (Denoising) step ${steps - timestep + 1} of ${steps}\nNoise Level: ${(noiseLevel * 100).toFixed(0)}%\nβ: ${(noiseLevel * 0.02).toFixed(4)}`
         );
     }
     
+    // Light the ring cylinder of the diffusion timestep being shown (0 clears it)
+    setActiveTimestep(timestep) {
+        this.activeTimestep = timestep;
+    }
+    
     showVAESamplingInfo() {
         this.showDetailedInfo(
             'Latent Space Sampling',
@@ -363,27 +393,21 @@ class Engine3D {
         
         titleEl.textContent = title;
         
-        // Update detail grid with content
+        // Update detail grid with content; as text, since layers loaded from JSON supply it
         const lines = content.split('\n');
-        let gridHTML = '';
+        detailGrid.replaceChildren();
         
         lines.forEach(line => {
-            if (line.includes(':')) {
-                const [label, value] = line.split(':');
-                gridHTML += `
-                    <span class="detail-label">${label.trim()}:</span>
-                    <span class="detail-value">${value.trim()}</span>
-                `;
-            } else {
-                gridHTML += `
-                    <span class="detail-label">Info:</span>
-                    <span class="detail-value">${line}</span>
-                `;
-            }
+            const [label, value] = line.includes(':') ? line.split(':') : ['Info', line];
+            [[`${label.trim()}:`, 'detail-label'], [value.trim(), 'detail-value']].forEach(([text, className]) => {
+                const span = document.createElement('span');
+                span.className = className;
+                span.textContent = text;
+                detailGrid.appendChild(span);
+            });
         });
-        
-        detailGrid.innerHTML = gridHTML;
         overlay.style.display = 'block';
+        overlay.classList.remove('attention');
         
         // Auto-hide after 5 seconds
         setTimeout(() => {
@@ -395,18 +419,31 @@ class Engine3D {
     
     buildNetwork(architecture) {
         this.clearNetwork();
+        this.architecture = architecture;
+        this.random = AppState.createRandom('network');
+        this.activeTimestep = 0;
         
-        const layers = AppState.getCurrentArch().layers;
+        const layers = this.getArch().layers;
         const spacing = 18; // Much larger spacing between layers
         const startX = -(layers.length - 1) * spacing / 2;
         
+        // Layers tagged with a `branch` (e.g. GAN generator/discriminator) get one row each
+        const arch = this.getArch();
+        const positions = layers.some(layer => layer.branch)
+            ? this.layoutBranches(layers, spacing, arch.branchLayout)
+            : layers.map((layer, index) => ({ x: startX + index * spacing, z: 0 }));
+        
         layers.forEach((layer, index) => {
-            const group = this.createLayerGroup(layer, index, startX + index * spacing);
+            const group = this.createLayerGroup(layer, index, positions[index].x, positions[index].z);
+            this.scene.add(group);
             this.layerNodes.push(group);
-            
-            // Create connections to next layer
-            if (index < layers.length - 1) {
-                this.createConnections(index, layers);
+        });
+        
+        // Connections need both ends, so they wait until every layer group exists
+        layers.forEach((layer, index) => {
+            const sourceIndex = layer.inputFrom !== undefined ? layer.inputFrom : index - 1;
+            if (index > 0 && sourceIndex !== null) {
+                this.createConnections(sourceIndex, index);
             }
         });
         
@@ -415,16 +452,61 @@ class Engine3D {
             this.addVAELatentVisualization();
         } else if (architecture === 'LSTM') {
             this.addLSTMGateVisualization();
-        } else if (architecture === 'Transformer') {
-            this.addTransformerAttentionVisualization();
         } else if (architecture === 'Diffusion') {
             this.addDiffusionProcessVisualization();
+        } else if (architecture === 'GAN') {
+            this.addGANVisualization();
         }
         
-        AppState.totalSteps = layers.length;
+        if (layers.some(layer => this.isAttention(layer))) {
+            this.addAttentionVisualization(layers);
+        }
+        if (layers.some(layer => layer.memoryFrom != null)) {
+            this.addCrossAttentionLinks(layers);
+        }
+        if (layers.some(layer => layer.residualFrom != null || layer.skipFrom != null)) {
+            this.addBypassTubes(layers);
+        }
+        if (layers.some(layer => layer.conditioned)) {
+            this.addConditioningBranch(layers);
+        }
+        
+        // The step counter follows the selected architecture, not a comparison
+        if (architecture === AppState.currentArchitecture) {
+            AppState.totalSteps = layers.length;
+        }
     }
     
-    createLayerGroup(layerInfo, layerIndex, xPosition) {
+    // One row per branch along z. By default rows alternate direction so the end of one
+    // branch sits next to the start of the branch it feeds (generator → discriminator makes a U);
+    // 'parallel' keeps every row left to right, for branches that run side by side.
+    layoutBranches(layers, spacing, mode = 'u') {
+        const rowSpacing = 28;
+        const branches = [...new Set(layers.map(layer => layer.branch || 'main'))];
+        const counters = branches.map(() => 0);
+        const longest = Math.max(...branches.map(b => layers.filter(l => (l.branch || 'main') === b).length));
+        const startX = -(longest - 1) * spacing / 2;
+        
+        const positions = layers.map(layer => {
+            const row = branches.indexOf(layer.branch || 'main');
+            const slot = counters[row]++;
+            const column = mode === 'parallel' || row % 2 === 0 ? slot : longest - 1 - slot;
+            return {
+                x: startX + column * spacing,
+                z: (row - (branches.length - 1) / 2) * rowSpacing
+            };
+        });
+        
+        // Branch titles above the first layer of each row
+        branches.forEach((branch, row) => {
+            const first = positions[layers.findIndex(l => (l.branch || 'main') === branch)];
+            this.createTextSprite(branch.toUpperCase(), first.x, 12, first.z, 'rgba(255, 255, 255, 0.85)');
+        });
+        
+        return positions;
+    }
+    
+    createLayerGroup(layerInfo, layerIndex, xPosition, zOffset = 0) {
         const group = new THREE.Group();
         group.userData = { layerIndex, layerInfo };
         
@@ -438,7 +520,7 @@ class Engine3D {
         const cols = Math.ceil(nodeCount / rows);
         
         const startY = -(rows - 1) * spacing / 2;
-        const startZ = -(cols - 1) * spacing / 2;
+        const startZ = zOffset - (cols - 1) * spacing / 2;
         
         for (let i = 0; i < nodeCount; i++) {
             const row = Math.floor(i / cols);
@@ -475,6 +557,15 @@ class Engine3D {
         // Add layer label with larger text
         this.createTextSprite(layerInfo.name, xPosition, startY - 3, startZ);
         
+        // Shape label, flagged when the shape check (run for the selected architecture) found a problem
+        const report = this.architecture === AppState.currentArchitecture &&
+            AppState.shapeReport && AppState.shapeReport.layers[layerIndex];
+        if (report && report.issues.length > 0) {
+            this.createTextSprite(`⚠ ${layerInfo.inputShape} → ${layerInfo.outputShape}`, xPosition, startY - 4, startZ, 'rgba(255, 68, 68, 0.95)');
+        } else {
+            this.createTextSprite(`${layerInfo.inputShape} → ${layerInfo.outputShape}`, xPosition, startY - 4, startZ, 'rgba(0, 255, 136, 0.7)');
+        }
+        
         return group;
     }
     
@@ -495,18 +586,24 @@ class Engine3D {
             'bottleneck': 20,
             'up': 16,
             'predict': 14,
-            'output': 16
+            'output': 16,
+            'noise': 9,
+            'project': 16,
+            'pair': 16,
+            'critic': 18,
+            'score': 4,
+            'addnorm': 9
         };
         return counts[type] || 16;
     }
     
-    createTextSprite(text, x, y, z) {
+    createTextSprite(text, x, y, z, color = 'rgba(0, 212, 255, 0.9)') {
         const canvas = document.createElement('canvas');
         const context = canvas.getContext('2d');
         canvas.width = 512;
         canvas.height = 128;
         
-        context.fillStyle = 'rgba(0, 212, 255, 0.9)';
+        context.fillStyle = color;
         context.font = 'bold 24px Inter'; // Smaller font for 3D model labels
         context.textAlign = 'center';
         context.textBaseline = 'middle';
@@ -525,9 +622,9 @@ class Engine3D {
         this.scene.add(sprite);
     }
     
-    createConnections(fromIndex, layers) {
+    createConnections(fromIndex, toIndex) {
         const fromGroup = this.layerNodes[fromIndex];
-        const toGroup = this.layerNodes[fromIndex + 1];
+        const toGroup = this.layerNodes[toIndex];
         
         if (!fromGroup || !toGroup) return;
         
@@ -539,7 +636,7 @@ class Engine3D {
         
         fromNodes.forEach((fromNode, i) => {
             toNodes.forEach((toNode, j) => {
-                if (Math.random() < connectionDensity) {
+                if (this.random.next() < connectionDensity) {
                     const points = [
                         fromNode.position.clone(),
                         toNode.position.clone()
@@ -554,7 +651,7 @@ class Engine3D {
                     });
                     
                     const connection = new THREE.Mesh(tubeGeometry, material);
-                    connection.userData = { fromIndex, toIndex: fromIndex + 1 };
+                    connection.userData = { fromIndex, toIndex };
                     
                     this.scene.add(connection);
                     this.connections.push(connection);
@@ -589,8 +686,7 @@ class Engine3D {
         
         // Highlight connections
         this.connections.forEach(conn => {
-            if (conn.userData.fromIndex === layerIndex - 1 && 
-                conn.userData.toIndex === layerIndex) {
+            if (conn.userData.toIndex === layerIndex) {
                 conn.material.opacity = 0.3;
                 conn.material.color.setHex(0x00ff88);
             } else {
@@ -598,6 +694,33 @@ class Engine3D {
                 conn.material.color.setHex(0x00d4ff);
             }
         });
+        
+        // Bypass tubes light up when the layer they feed is active
+        this.bypasses.forEach(tube => {
+            const active = tube.userData.toIndex === layerIndex;
+            tube.material.opacity = active ? 0.9 : 0.35;
+            tube.material.color.setHex(active ? 0xffffff : tube.userData.color);
+        });
+        
+        this.highlightedLayer = layerIndex;
+        this.updateConditioning();
+    }
+    
+    // The conditioning branch shows whether a style or progression is set (AppState.isConditioned);
+    // the tube into the highlighted layer, when that is a conditioned one, lights up
+    updateConditioning(layerIndex = this.highlightedLayer) {
+        const active = AppState.isConditioned();
+        if (this.conditionNode) {
+            this.conditionNode.children.forEach(node => {
+                node.material.opacity = active ? 0.9 : 0.25;
+                node.material.emissiveIntensity = active ? 0.6 : 0.1;
+            });
+        }
+        this.conditionTubes.forEach(tube => {
+            const feeding = active && tube.userData.toIndex === layerIndex;
+            tube.material.opacity = feeding ? 0.9 : active ? 0.45 : 0.08;
+            tube.material.color.setHex(feeding ? 0xffffff : tube.userData.color);
+        });
     }
     
     animateDataFlow(fromLayer, toLayer, callback) {
@@ -611,10 +734,11 @@ class Engine3D {
         
         const particleCount = 40;
         const newParticles = [];
+        const random = AppState.createRandom(`flow/${fromLayer}`);
         
         for (let i = 0; i < particleCount; i++) {
-            const fromNode = fromGroup.children[Math.floor(Math.random() * fromGroup.children.length)];
-            const toNode = toGroup.children[Math.floor(Math.random() * toGroup.children.length)];
+            const fromNode = fromGroup.children[random.int(fromGroup.children.length)];
+            const toNode = toGroup.children[random.int(toGroup.children.length)];
             
             if (!fromNode || !toNode || !fromNode.position) continue;
             
@@ -631,8 +755,8 @@ class Engine3D {
             particle.userData = {
                 start: fromNode.position.clone(),
                 end: toNode.position.clone(),
-                progress: Math.random() * 0.15,
-                speed: 0.015 + Math.random() * 0.01,
+                progress: random.range(0, 0.15),
+                speed: random.range(0.015, 0.025),
                 tensorShape: this.getTensorShape(fromLayer, toLayer),
                 dataSize: this.getDataSize(fromLayer, toLayer)
             };
@@ -642,6 +766,26 @@ class Engine3D {
             newParticles.push(particle);
         }
         
+        // Data carried over a residual or skip path travels along its tube
+        this.bypasses.filter(tube => tube.userData.toIndex === toLayer).forEach(tube => {
+            for (let i = 0; i < 8; i++) {
+                const particle = new THREE.Mesh(
+                    new THREE.SphereGeometry(0.5, 10, 10),
+                    new THREE.MeshBasicMaterial({ color: tube.userData.color, transparent: true, opacity: 0.9 })
+                );
+                particle.userData = {
+                    curve: tube.userData.curve,
+                    progress: -i * 0.08,
+                    speed: 0.02
+                };
+                particle.position.copy(tube.userData.curve.getPoint(0));
+                
+                this.scene.add(particle);
+                this.particles.push(particle);
+                newParticles.push(particle);
+            }
+        });
+        
         // Update tensor shape display during animation
         this.updateTensorShapeDisplay(fromLayer, toLayer);
         
@@ -652,11 +796,12 @@ class Engine3D {
             newParticles.forEach(particle => {
                 if (particle.userData.progress < 1) {
                     particle.userData.progress += particle.userData.speed;
-                    particle.position.lerpVectors(
-                        particle.userData.start,
-                        particle.userData.end,
-                        Math.min(particle.userData.progress, 1)
-                    );
+                    const t = Math.max(0, Math.min(particle.userData.progress, 1));
+                    if (particle.userData.curve) {
+                        particle.position.copy(particle.userData.curve.getPoint(t));
+                    } else {
+                        particle.position.lerpVectors(particle.userData.start, particle.userData.end, t);
+                    }
                     
                     // Fade out near end
                     if (particle.userData.progress > 0.8) {
@@ -684,14 +829,14 @@ class Engine3D {
     }
     
     getTensorShape(fromLayer, toLayer) {
-        const arch = AppState.getCurrentArch();
+        const arch = this.getArch();
         const fromShape = arch.layers[fromLayer].outputShape;
         const toShape = arch.layers[toLayer].outputShape;
         return { from: fromShape, to: toShape };
     }
     
     getDataSize(fromLayer, toLayer) {
-        const arch = AppState.getCurrentArch();
+        const arch = this.getArch();
         const fromParams = arch.layers[fromLayer].params || 0;
         const toParams = arch.layers[toLayer].params || 0;
         return { from: fromParams, to: toParams };
@@ -813,8 +958,12 @@ class Engine3D {
         // Reset arrays
         this.layerNodes = [];
         this.connections = [];
+        this.bypasses = [];
+        this.conditionTubes = [];
+        this.conditionNode = null;
         this.particles = [];
         this.vaeSamplingGroup = null;
+        this.attentionLayouts = {};
         
         // Re-add lights after clearing
         this.setupLights();
@@ -853,7 +1002,7 @@ class Engine3D {
     }
     
     animateArchitectureSpecific(time) {
-        const arch = AppState.currentArchitecture;
+        const arch = this.architecture;
         
         if (arch === 'VAE' && this.vaeSamplingGroup) {
             // Animate VAE sampling particles
@@ -891,37 +1040,6 @@ class Engine3D {
                     child.scale.setScalar(scale);
                 }
             });
-        } else if (arch === 'Transformer') {
-            // Animate attention heads
-            this.scene.traverse((child) => {
-                if (child.userData.type === 'attention-head') {
-                    // Rotating attention pattern
-                    const headIndex = child.userData.headIndex;
-                    const rotationOffset = (headIndex / 8) * Math.PI * 2;
-                    child.rotation.y = rotationOffset + time * 0.5;
-                    
-                    // Pulsing based on head activity
-                    const activity = Math.sin(time * 1.5 + headIndex * 0.5) * 0.3 + 0.7;
-                    child.material.emissiveIntensity = activity;
-                } else if (child.userData.type === 'qkv-node') {
-                    // QKV nodes orbiting their attention head
-                    const headIndex = child.userData.headIndex;
-                    const qkvType = child.userData.qkvType;
-                    const offset = qkvType === 'Q' ? 0 : qkvType === 'K' ? 2*Math.PI/3 : 4*Math.PI/3;
-                    
-                    const angle = time + offset + headIndex * 0.2;
-                    const radius = 0.8;
-                    const centerX = this.layerNodes[2].children[0].position.x;
-                    const centerZ = this.layerNodes[2].children[0].position.z;
-                    
-                    child.position.x = centerX + Math.cos(angle) * radius;
-                    child.position.z = centerZ + Math.sin(angle) * radius;
-                } else if (child.userData.type === 'attention-connection') {
-                    // Pulsing attention connections
-                    const intensity = 0.2 + Math.sin(time * 2 + child.userData.headFrom * 0.3) * 0.1;
-                    child.material.opacity = intensity;
-                }
-            });
         } else if (arch === 'Diffusion') {
             // Animate diffusion timesteps
             this.scene.traverse((child) => {
@@ -929,20 +1047,22 @@ class Engine3D {
                     const timestep = child.userData.timestep;
                     const noiseLevel = child.userData.noiseLevel;
                     
-                    // Pulsing based on noise level
+                    // Pulsing based on noise level; the step being sampled glows
                     const pulseSpeed = 1 + noiseLevel * 2;
                     const intensity = 0.3 + Math.sin(time * pulseSpeed + timestep * 0.5) * 0.2;
-                    child.material.emissiveIntensity = intensity;
+                    const active = timestep === this.activeTimestep;
+                    child.material.emissiveIntensity = active ? 1.2 : intensity;
+                    child.scale.setScalar(active ? 1.35 : 1);
                     
                     // Vertical breathing motion
                     const breathOffset = Math.sin(time * pulseSpeed + timestep * 0.3) * 0.1;
                     child.position.y = -3 + breathOffset;
                 } else if (child.userData.type === 'noise-particle') {
                     // Random noise particle motion
-                    const speed = 0.5 + Math.random() * 0.5;
-                    child.position.x += (Math.random() - 0.5) * 0.02 * speed;
-                    child.position.y += (Math.random() - 0.5) * 0.02 * speed;
-                    child.position.z += (Math.random() - 0.5) * 0.02 * speed;
+                    const speed = this.effectsRandom.range(0.5, 1.0);
+                    child.position.x += (this.effectsRandom.next() - 0.5) * 0.02 * speed;
+                    child.position.y += (this.effectsRandom.next() - 0.5) * 0.02 * speed;
+                    child.position.z += (this.effectsRandom.next() - 0.5) * 0.02 * speed;
                     
                     // Fade in/out
                     child.material.opacity = 0.4 * (0.5 + Math.sin(time * speed * 2) * 0.5);
@@ -953,6 +1073,45 @@ class Engine3D {
                 }
             });
         }
+        
+        // Attention heads and cross-attention links move whenever they exist
+        this.scene.traverse((child) => {
+            if (child.userData.type === 'attention-head') {
+                // Rotating attention pattern
+                const headIndex = child.userData.headIndex;
+                const rotationOffset = (headIndex / child.userData.numHeads) * Math.PI * 2;
+                child.rotation.y = rotationOffset + time * 0.5;
+                
+                // Pulsing based on head activity
+                const activity = Math.sin(time * 1.5 + headIndex * 0.5) * 0.3 + 0.7;
+                child.material.emissiveIntensity = activity;
+            } else if (child.userData.type === 'qkv-node') {
+                // QKV nodes orbiting their attention head
+                const headIndex = child.userData.headIndex;
+                const qkvType = child.userData.qkvType;
+                const offset = qkvType === 'Q' ? 0 : qkvType === 'K' ? 2*Math.PI/3 : 4*Math.PI/3;
+                
+                const angle = time + offset + headIndex * 0.2;
+                const radius = 0.8;
+                child.position.x = child.userData.centerX + Math.cos(angle) * radius;
+                child.position.z = child.userData.centerZ + Math.sin(angle) * radius;
+            } else if (child.userData.type === 'attention-connection') {
+                // Pulsing links, brighter for heads with more similar attention patterns
+                const intensity = child.userData.strength * (0.75 + Math.sin(time * 2 + child.userData.headFrom * 0.3) * 0.25);
+                child.material.opacity = intensity;
+            } else if (child.userData.type === 'cross-attention-link') {
+                child.material.opacity = 0.15 + Math.sin(time * 2.5 + child.userData.phase) * 0.1;
+            }
+        });
+        
+        if (arch === 'GAN') {
+            // Adversarial feedback pulses back towards the generator
+            this.scene.traverse((child) => {
+                if (child.userData.type === 'gan-feedback') {
+                    child.material.opacity = 0.3 + Math.sin(time * 2) * 0.15;
+                }
+            });
+        }
     }
     
     // VAE-specific visualization for latent space sampling
@@ -978,9 +1137,9 @@ class Engine3D {
         
         // Add sampling particles
         for (let i = 0; i < 20; i++) {
-            const theta = Math.random() * Math.PI * 2;
-            const phi = Math.random() * Math.PI;
-            const r = Math.random() * 1.5;
+            const theta = this.random.range(0, Math.PI * 2);
+            const phi = this.random.range(0, Math.PI);
+            const r = this.random.range(0, 1.5);
             
             const particleGeometry = new THREE.SphereGeometry(0.08, 8, 8);
             const particleMaterial = new THREE.MeshBasicMaterial({
@@ -1068,13 +1227,24 @@ class Engine3D {
         });
     }
     
-    // Transformer-specific visualization for attention heads
-    addTransformerAttentionVisualization() {
-        const attentionIndex = 2; // Multi-head attention layer index
+    // Self- and cross-attention layers both have heads with attention weights to show
+    isAttention(layer) {
+        return layer.type === 'attention' || layer.type === 'cross';
+    }
+    
+    // One ring of heads around every attention layer, in any architecture
+    addAttentionVisualization(layers) {
+        layers.forEach((layer, index) => {
+            if (this.isAttention(layer) && this.layerNodes[index]) {
+                this.addAttentionHeads(index, layer);
+            }
+        });
+    }
+    
+    addAttentionHeads(attentionIndex, layer) {
         const attentionGroup = this.layerNodes[attentionIndex];
-        if (!attentionGroup) return;
-        
-        const numHeads = 8;
+        const match = layer.operation.match(/heads=(\d+)/);
+        const numHeads = match ? parseInt(match[1]) : 8;
         const headRadius = 1.5;
         const centerX = attentionGroup.children[0].position.x;
         const centerZ = attentionGroup.children[0].position.z;
@@ -1097,7 +1267,7 @@ class Engine3D {
             const headNode = new THREE.Mesh(headGeometry, headMaterial);
             headNode.position.set(x, -2, z);
             headNode.rotation.y = -angle + Math.PI / 2;
-            headNode.userData = { type: 'attention-head', headIndex: i, layerIndex: attentionIndex };
+            headNode.userData = { type: 'attention-head', headIndex: i, numHeads, layerIndex: attentionIndex };
             
             this.scene.add(headNode);
             
@@ -1125,57 +1295,79 @@ class Engine3D {
                     centerZ + Math.sin(qkvAngle) * qkvRadius
                 );
                 
-                qkvNode.userData = { type: 'qkv-node', qkvType: qkvLabels[qkvIndex], headIndex: i };
+                qkvNode.userData = { type: 'qkv-node', qkvType: qkvLabels[qkvIndex], headIndex: i, centerX, centerZ };
                 this.scene.add(qkvNode);
             });
         }
         
-        // Add attention score visualization (connecting lines)
-        for (let i = 0; i < numHeads; i++) {
-            for (let j = i + 1; j < numHeads; j++) {
-                if (Math.random() < 0.3) { // Create sparse connections
-                    const angle1 = (i / numHeads) * Math.PI * 2;
-                    const angle2 = (j / numHeads) * Math.PI * 2;
-                    
-                    const points = [
-                        new THREE.Vector3(
-                            centerX + Math.cos(angle1) * headRadius,
-                            -2,
-                            centerZ + Math.sin(angle1) * headRadius
-                        ),
-                        new THREE.Vector3(
-                            centerX + Math.cos(angle2) * headRadius,
-                            -2,
-                            centerZ + Math.sin(angle2) * headRadius
-                        )
-                    ];
-                    
-                    const curve = new THREE.CatmullRomCurve3(points);
-                    const tubeGeometry = new THREE.TubeGeometry(curve, 8, 0.3, 4, false);
-                    const tubeMaterial = new THREE.MeshBasicMaterial({
-                        color: 0xff00ff,
-                        transparent: true,
-                        opacity: 0.2
-                    });
-                    
-                    const connection = new THREE.Mesh(tubeGeometry, tubeMaterial);
-                    connection.userData = { type: 'attention-connection', headFrom: i, headTo: j };
-                    
-                    this.scene.add(connection);
+        // Links between heads are drawn once their attention weights exist (updateAttentionLinks)
+        this.attentionLayouts[attentionIndex] = { centerX, centerZ, numHeads, headRadius };
+    }
+    
+    // Link the heads of each attention layer whose attention matrices are most alike
+    // (cosine similarity in the top 30% of pairs); brighter links mean more similar heads
+    updateAttentionLinks(layerOutputs) {
+        Object.entries(this.attentionLayouts).forEach(([key, layout]) => {
+            const layerIndex = parseInt(key);
+            const output = layerOutputs[layerIndex];
+            const heads = output && output.details && output.details.attention;
+            
+            this.scene.children
+                .filter(child => child.userData.type === 'attention-connection' && child.userData.layerIndex === layerIndex)
+                .forEach(child => {
+                    child.geometry.dispose();
+                    child.material.dispose();
+                    this.scene.remove(child);
+                });
+            if (!heads || heads.length !== layout.numHeads) return;
+            
+            const norms = heads.map(h => Math.sqrt(h.data.reduce((sum, v) => sum + v * v, 0)));
+            const pairs = [];
+            for (let i = 0; i < heads.length; i++) {
+                for (let j = i + 1; j < heads.length; j++) {
+                    let dot = 0;
+                    for (let k = 0; k < heads[i].data.length; k++) dot += heads[i].data[k] * heads[j].data[k];
+                    pairs.push({ i, j, similarity: dot / (norms[i] * norms[j] || 1) });
                 }
             }
-        }
+            if (pairs.length === 0) return;
+            
+            const sorted = pairs.map(p => p.similarity).sort((a, b) => a - b);
+            const threshold = sorted[Math.floor(sorted.length * 0.7)];
+            const min = sorted[0];
+            const range = sorted[sorted.length - 1] - min || 1;
+            const { centerX, centerZ, numHeads, headRadius } = layout;
+            const headPoint = index => {
+                const angle = (index / numHeads) * Math.PI * 2;
+                return new THREE.Vector3(centerX + Math.cos(angle) * headRadius, -2, centerZ + Math.sin(angle) * headRadius);
+            };
+            
+            pairs.filter(p => p.similarity >= threshold).forEach(({ i, j, similarity }) => {
+                const strength = 0.1 + 0.5 * (similarity - min) / range;
+                const curve = new THREE.CatmullRomCurve3([headPoint(i), headPoint(j)]);
+                const tubeGeometry = new THREE.TubeGeometry(curve, 8, 0.3, 4, false);
+                const tubeMaterial = new THREE.MeshBasicMaterial({
+                    color: 0xff00ff,
+                    transparent: true,
+                    opacity: strength
+                });
+                
+                const connection = new THREE.Mesh(tubeGeometry, tubeMaterial);
+                connection.userData = { type: 'attention-connection', headFrom: i, headTo: j, layerIndex, similarity, strength };
+                this.scene.add(connection);
+            });
+        });
     }
     
     // Diffusion-specific visualization for denoising process
     addDiffusionProcessVisualization() {
-        const timeSteps = 10;
+        const timeSteps = AppState.diffusionSteps;
         const radius = 3;
         const centerX = 0;
         const centerZ = 0;
         
-        // Create circular timestep visualization
-        for (let t = 0; t < timeSteps; t++) {
+        // One cylinder per sampling step, t = 1 (almost clean) … timeSteps (pure noise)
+        for (let t = 1; t <= timeSteps; t++) {
             const angle = (t / timeSteps) * Math.PI * 2 - Math.PI / 2;
             const x = centerX + Math.cos(angle) * radius;
             const z = centerZ + Math.sin(angle) * radius;
@@ -1199,7 +1391,7 @@ class Engine3D {
             
             const stepNode = new THREE.Mesh(stepGeometry, stepMaterial);
             stepNode.position.set(x, -3, z);
-            stepNode.userData = { type: 'timestep', timestep: t, noiseLevel };
+            stepNode.userData = { type: 'timestep', timestep: t, noiseLevel, steps: timeSteps };
             
             this.scene.add(stepNode);
             
@@ -1235,12 +1427,12 @@ class Engine3D {
                 });
                 
                 const particle = new THREE.Mesh(particleGeometry, particleMaterial);
-                const offsetAngle = Math.random() * Math.PI * 2;
-                const offsetRadius = Math.random() * 0.5;
+                const offsetAngle = this.random.range(0, Math.PI * 2);
+                const offsetRadius = this.random.range(0, 0.5);
                 
                 particle.position.set(
                     x + Math.cos(offsetAngle) * offsetRadius,
-                    -3 + (Math.random() - 0.5) * 0.5,
+                    -3 + (this.random.next() - 0.5) * 0.5,
                     z + Math.sin(offsetAngle) * offsetRadius
                 );
                 
@@ -1276,4 +1468,180 @@ class Engine3D {
             this.scene.add(arrow);
         }
     }
+    
+    // GAN: real data feeding the discriminator and the adversarial signal back to the generator
+    addGANVisualization() {
+        const layers = this.getArch().layers;
+        const pairIndex = layers.findIndex(l => l.type === 'pair');
+        const scoreIndex = layers.findIndex(l => l.type === 'score');
+        const pairGroup = this.layerNodes[pairIndex];
+        const scoreGroup = this.layerNodes[scoreIndex];
+        const noiseGroup = this.layerNodes[0];
+        if (!pairGroup || !scoreGroup || !noiseGroup) return;
+        
+        const center = group => new THREE.Box3().setFromObject(group).getCenter(new THREE.Vector3());
+        const pairCenter = center(pairGroup);
+        
+        // Real piano roll: a small stack of note bars beside the discriminator input
+        const realGroup = new THREE.Group();
+        const realPos = new THREE.Vector3(pairCenter.x, pairCenter.y, pairCenter.z + 14);
+        for (let i = 0; i < 8; i++) {
+            const bar = new THREE.Mesh(
+                new THREE.BoxGeometry(this.random.range(1.5, 4), 0.6, 0.6),
+                new THREE.MeshPhongMaterial({ color: 0x00d4ff, emissive: 0x00d4ff, emissiveIntensity: 0.4 })
+            );
+            bar.position.set(realPos.x + this.random.range(-1.5, 1.5), realPos.y - 3 + i * 0.9, realPos.z);
+            realGroup.add(bar);
+        }
+        realGroup.userData = { type: 'gan-real-data' };
+        this.scene.add(realGroup);
+        this.createTextSprite('REAL DATA x', realPos.x, realPos.y + 6, realPos.z, 'rgba(0, 212, 255, 0.9)');
+        
+        const realFeed = new THREE.Mesh(
+            new THREE.TubeGeometry(new THREE.LineCurve3(realPos, pairCenter), 8, 0.25, 8, false),
+            new THREE.MeshBasicMaterial({ color: 0x00d4ff, transparent: true, opacity: 0.35 })
+        );
+        this.scene.add(realFeed);
+        
+        // Adversarial loss flows from D(·) back to the generator
+        const scoreCenter = center(scoreGroup);
+        const noiseCenter = center(noiseGroup);
+        const mid = scoreCenter.clone().add(noiseCenter).multiplyScalar(0.5);
+        mid.x -= 12;
+        const feedback = new THREE.Mesh(
+            new THREE.TubeGeometry(new THREE.QuadraticBezierCurve3(scoreCenter, mid, noiseCenter), 32, 0.2, 8, false),
+            new THREE.MeshBasicMaterial({ color: 0xff4488, transparent: true, opacity: 0.4 })
+        );
+        feedback.userData = { type: 'gan-feedback' };
+        this.scene.add(feedback);
+        this.createTextSprite('∇ adversarial loss', mid.x, mid.y + 2, mid.z, 'rgba(255, 68, 136, 0.9)');
+    }
+    
+    // Links from the encoder memory to every layer that cross-attends to it
+    addCrossAttentionLinks(layers) {
+        layers.forEach((layer, index) => {
+            const memoryGroup = this.layerNodes[layer.memoryFrom];
+            const queryGroup = this.layerNodes[index];
+            if (layer.memoryFrom == null || !memoryGroup || !queryGroup) return;
+            
+            const memoryNodes = memoryGroup.children;
+            const queryNodes = queryGroup.children;
+            const linkCount = 12;
+            
+            for (let i = 0; i < linkCount; i++) {
+                const from = memoryNodes[this.random.int(memoryNodes.length)].position;
+                const to = queryNodes[this.random.int(queryNodes.length)].position;
+                const mid = from.clone().add(to).multiplyScalar(0.5);
+                mid.y += 6;
+                
+                const link = new THREE.Mesh(
+                    new THREE.TubeGeometry(new THREE.QuadraticBezierCurve3(from.clone(), mid, to.clone()), 24, 0.12, 6, false),
+                    new THREE.MeshBasicMaterial({ color: 0xff00ff, transparent: true, opacity: 0.2 })
+                );
+                link.userData = { type: 'cross-attention-link', fromIndex: layer.memoryFrom, toIndex: index, phase: i * 0.5 };
+                this.scene.add(link);
+            }
+            
+            const memoryCenter = new THREE.Box3().setFromObject(memoryGroup).getCenter(new THREE.Vector3());
+            const queryCenter = new THREE.Box3().setFromObject(queryGroup).getCenter(new THREE.Vector3());
+            const labelPos = memoryCenter.add(queryCenter).multiplyScalar(0.5);
+            this.createTextSprite('cross-attention', labelPos.x, labelPos.y + 9, labelPos.z, 'rgba(255, 0, 255, 0.9)');
+        });
+    }
+    
+    // Conditioning input c below and behind the network: a style node ringed by the 12 pitch
+    // classes of the chord progression, with a tube up into every layer flagged `conditioned`
+    addConditioningBranch(layers) {
+        const box = group => new THREE.Box3().setFromObject(group);
+        const color = 0xffaa00;
+        const targets = layers.map((layer, index) => index).filter(index => layers[index].conditioned && this.layerNodes[index]);
+        if (targets.length === 0) return;
+        
+        const centers = targets.map(index => box(this.layerNodes[index]).getCenter(new THREE.Vector3()));
+        const bottom = Math.min(...this.layerNodes.map(group => box(group).min.y));
+        const origin = new THREE.Vector3(
+            centers.reduce((sum, c) => sum + c.x, 0) / centers.length,
+            bottom - 10,
+            Math.min(...centers.map(c => c.z)) - 16
+        );
+        
+        const material = () => new THREE.MeshPhongMaterial({
+            color, emissive: color, emissiveIntensity: 0.6, transparent: true, opacity: 0.9
+        });
+        const node = new THREE.Group();
+        const hub = new THREE.Mesh(new THREE.SphereGeometry(1.6, 24, 24), material());
+        hub.position.copy(origin);
+        node.add(hub);
+        for (let pc = 0; pc < 12; pc++) {
+            const angle = pc / 12 * Math.PI * 2;
+            const tone = new THREE.Mesh(new THREE.SphereGeometry(0.6, 12, 12), material());
+            tone.position.set(origin.x + Math.cos(angle) * 3.5, origin.y, origin.z + Math.sin(angle) * 3.5);
+            node.add(tone);
+        }
+        this.scene.add(node);
+        this.conditionNode = node;
+        this.createTextSprite('condition c: style + chords', origin.x, origin.y - 4, origin.z, 'rgba(255, 170, 0, 0.9)');
+        
+        targets.forEach((index, i) => {
+            const to = new THREE.Vector3(centers[i].x, box(this.layerNodes[index]).min.y, centers[i].z);
+            const curve = new THREE.CubicBezierCurve3(
+                origin.clone(),
+                new THREE.Vector3(origin.x, to.y - 2, origin.z),
+                new THREE.Vector3(to.x, origin.y + 2, to.z),
+                to
+            );
+            const tube = new THREE.Mesh(
+                new THREE.TubeGeometry(curve, 32, 0.25, 8, false),
+                new THREE.MeshBasicMaterial({ color, transparent: true, opacity: 0.45 })
+            );
+            tube.userData = { type: 'condition-tube', toIndex: index, color };
+            this.scene.add(tube);
+            this.conditionTubes.push(tube);
+        });
+        
+        this.updateConditioning();
+    }
+    
+    // Residual (`residualFrom`) and U-Net skip (`skipFrom`) connections arc over the layers
+    // they bypass: residuals in yellow, skips in teal and higher so both can share a span
+    addBypassTubes(layers) {
+        const box = group => new THREE.Box3().setFromObject(group);
+        const kinds = [
+            { field: 'residualFrom', type: 'residual-arc', color: 0xffcc00, lift: 6, label: null },
+            { field: 'skipFrom', type: 'skip-arc', color: 0x00ffcc, lift: 10, label: 'skip' }
+        ];
+        
+        layers.forEach((layer, index) => {
+            kinds.forEach(kind => {
+                const fromIndex = layer[kind.field];
+                const fromGroup = this.layerNodes[fromIndex];
+                const toGroup = this.layerNodes[index];
+                if (fromIndex == null || !fromGroup || !toGroup) return;
+                
+                // Clear every layer in between, not just the two ends
+                const top = Math.max(...this.layerNodes.slice(fromIndex, index + 1).map(group => box(group).max.y)) + 4;
+                const from = box(fromGroup).getCenter(new THREE.Vector3());
+                const to = box(toGroup).getCenter(new THREE.Vector3());
+                const curve = new THREE.CubicBezierCurve3(
+                    from.clone().setY(top - 2),
+                    new THREE.Vector3(from.x, top + kind.lift, from.z),
+                    new THREE.Vector3(to.x, top + kind.lift, to.z),
+                    to.clone().setY(top - 2)
+                );
+                
+                const tube = new THREE.Mesh(
+                    new THREE.TubeGeometry(curve, 32, 0.25, 8, false),
+                    new THREE.MeshBasicMaterial({ color: kind.color, transparent: true, opacity: 0.35 })
+                );
+                tube.userData = { type: kind.type, fromIndex, toIndex: index, color: kind.color, curve };
+                this.scene.add(tube);
+                this.bypasses.push(tube);
+                
+                if (kind.label) {
+                    const peak = curve.getPoint(0.5);
+                    this.createTextSprite(kind.label, peak.x, peak.y + 2, peak.z, 'rgba(0, 255, 204, 0.9)');
+                }
+            });
+        });
+    }
 }
@@ -6,6 +6,19 @@ const AppState = {
     // Input data
     inputData: null,
     inputNotes: [],
+    midiImport: null,
+    generatorParams: {}, // per generator id: its parameter values as set in the input panel
+    bpm: 120, // tempo of the current input, used when exporting
+    
+    // Instrument tracks a note can belong to (note.track). `hue` colours its notes on the piano
+    // rolls and `pitched: false` keeps drums out of key and chord analysis; AudioPlayer gives each
+    // track its own voice and honours `muted` and `solo`.
+    tracks: {
+        melody: { name: 'Melody', hue: 190, pitched: true, muted: false, solo: false },
+        chords: { name: 'Chords', hue: 280, pitched: true, muted: false, solo: false },
+        bass: { name: 'Bass', hue: 130, pitched: true, muted: false, solo: false },
+        drums: { name: 'Drums', hue: 30, pitched: false, muted: false, solo: false }
+    },
     
     // Layer outputs
     layerOutputs: [],
@@ -13,6 +26,9 @@ const AppState = {
     // Current step
     currentStep: 0,
     totalSteps: 0,
+    decodeStep: 0, // output tokens revealed so far by an encoder–decoder
+    diffusionStep: 0, // reverse-diffusion states shown so far (0 = pure noise xₜ)
+    isGenerating: false, // an LSTM / Transformer is generating frames one at a time
     
     // Animation
     isAnimating: false,
@@ -21,11 +37,29 @@ const AppState = {
     
     // Parameters
     temperature: 1.0,
+    keyRoot: 'auto', // pitch class 0-11 of the output key, or 'auto' to detect it from the input
+    scaleMode: 'auto', // a KeyDetector scale ('major', 'dorian', ...) or 'auto' for the detected major/minor
+    scaleStrictness: 0.5, // 0 ignores the scale, 1 keeps every output note in it
+    grid: 0.25, // rhythm grid step in beats (see RhythmGrid); 1/3 and 1/6 are triplets
+    swing: 0, // 0 straight, 1 delays every second grid step to the triplet position
+    style: 'none', // mood output is conditioned on (see Conditioning.styles)
+    progression: '', // target chords, one per bar: symbols ("C G Am F") or numerals ("I V vi IV")
+    conditionStrength: 0.5, // 0 leaves output unconditioned, 1 follows style and chords closely
     latentDim: 128,
+    transformerBlocks: 2,
+    diffusionSteps: 10, // denoising steps when sampling (one per cylinder of the timestep ring)
+    contextWindow: 16, // frames an autoregressive Transformer attends to when generating
+    seed: 42,
     
     // Output data
     outputNotes: [],
     
+    // Shape propagation report for the current architecture (see ShapeInference.check)
+    shapeReport: null,
+    
+    // Parameter counts derived from each layer's operation (see ParamCounter.count)
+    paramReport: null,
+    
     // Architecture definitions
     architectures: {
         VAE: {
@@ -78,6 +112,7 @@ const AppState = {
                 {
                     name: 'Decoder Dense',
                     type: 'dense',
+                    conditioned: true, // z and the conditioning vector together, as in a conditional VAE
                     inputShape: '[128]',
                     outputShape: '[T, 512]',
                     operation: 'Dense(T×512) + Reshape',
@@ -138,6 +173,7 @@ const AppState = {
                 {
                     name: 'LSTM Layer 1',
                     type: 'lstm',
+                    conditioned: true,
                     inputShape: '[T, 256]',
                     outputShape: '[T, 256]',
                     operation: 'LSTM(units=256, return_seq=True)',
@@ -172,63 +208,7 @@ const AppState = {
         },
         Transformer: {
             name: 'Transformer Architecture',
-            layers: [
-                {
-                    name: 'Input Embedding',
-                    type: 'input',
-                    inputShape: '[T, 88]',
-                    outputShape: '[T, 512]',
-                    operation: 'Embedding(512)',
-                    color: 0x00d4ff,
-                    params: 45056,
-                    formula: 'E = Embed(X)',
-                    description: 'Embeds input tokens into high-dimensional space'
-                },
-                {
-                    name: 'Positional Encoding',
-                    type: 'positional',
-                    inputShape: '[T, 512]',
-                    outputShape: '[T, 512]',
-                    operation: 'AddPosEncoding',
-                    color: 0x0099ff,
-                    params: 0,
-                    formula: 'PE(pos,2i) = sin(pos/10000^(2i/d))',
-                    description: 'Adds positional information since Transformer has no inherent sequence order'
-                },
-                {
-                    name: 'Multi-Head Attention',
-                    type: 'attention',
-                    inputShape: '[T, 512]',
-                    outputShape: '[T, 512]',
-                    operation: 'MultiHeadAttention(heads=8)',
-                    color: 0xff00ff,
-                    params: 1049600,
-                    formula: 'Attention(Q,K,V) = softmax(QKᵀ/√d)V',
-                    description: 'Self-attention mechanism allows each position to attend to all positions'
-                },
-                {
-                    name: 'Feed Forward Network',
-                    type: 'ffn',
-                    inputShape: '[T, 512]',
-                    outputShape: '[T, 512]',
-                    operation: 'FFN(2048→512)',
-                    color: 0xff6600,
-                    params: 2099200,
-                    formula: 'FFN(x) = ReLU(W₁x + b₁)W₂ + b₂',
-                    description: 'Position-wise feed-forward network applied to each position independently'
-                },
-                {
-                    name: 'Output Projection',
-                    type: 'output',
-                    inputShape: '[T, 512]',
-                    outputShape: '[T, 88]',
-                    operation: 'Linear(88)',
-                    color: 0x00ff88,
-                    params: 45144,
-                    formula: 'Y = Wx + b',
-                    description: 'Final linear projection to output vocabulary (88 piano keys)'
-                }
-            ]
+            layers: [] // built by buildTransformerLayers(transformerBlocks)
         },
         Diffusion: {
             name: 'Diffusion Model',
@@ -269,6 +249,7 @@ const AppState = {
                 {
                     name: 'Bottleneck',
                     type: 'bottleneck',
+                    conditioned: true,
                     inputShape: '[T/2, 512]',
                     outputShape: '[T/4, 1024]',
                     operation: 'ResBlock(1024) + Attention',
@@ -282,6 +263,7 @@ const AppState = {
                     type: 'up',
                     inputShape: '[T/4, 1024]',
                     outputShape: '[T/2, 512]',
+                    skipFrom: 2, // adds the downsampling features back in
                     operation: 'ConvTranspose2D(512) + Skip',
                     color: 0x00d4ff,
                     params: 2098176,
@@ -311,7 +293,335 @@ const AppState = {
                     description: 'Removes predicted noise to recover clean music signal'
                 }
             ]
+        },
+        GAN: {
+            name: 'Generative Adversarial Network',
+            layers: [
+                {
+                    name: 'Noise Vector z',
+                    type: 'noise',
+                    branch: 'generator',
+                    inputFrom: null, // sampled, not read from the input
+                    inputShape: '[128]',
+                    outputShape: '[128]',
+                    operation: 'SampleNoise(z ~ N(0, I))',
+                    color: 0xff00ff,
+                    params: 0,
+                    formula: 'z ~ N(0, I)',
+                    description: 'Random noise vector that the generator turns into music'
+                },
+                {
+                    name: 'Generator Projection',
+                    type: 'project',
+                    conditioned: true, // a conditional GAN's generator sees c beside z
+                    branch: 'generator',
+                    inputShape: '[128]',
+                    outputShape: '[T/4, 512]',
+                    operation: 'Dense(T/4×512) + Reshape',
+                    color: 0xcc33ff,
+                    params: 528384,
+                    formula: 'h₀ = ReLU(W₀z + b₀)',
+                    description: 'Projects the noise vector to a short, wide sequence of bar-level features'
+                },
+                {
+                    name: 'Generator Upsample',
+                    type: 'deconv',
+                    branch: 'generator',
+                    inputShape: '[T/4, 512]',
+                    outputShape: '[T/2, 256]',
+                    operation: 'ConvTranspose1D(filters=256, kernel=3, stride=2)',
+                    color: 0x9966ff,
+                    params: 393472,
+                    formula: 'h₁ = ReLU(W₁ᵀ ∗ h₀ + b₁)',
+                    description: 'Transposed convolution doubles the time resolution, shaping phrases into beats'
+                },
+                {
+                    name: 'Fake Piano Roll',
+                    type: 'deconv',
+                    branch: 'generator',
+                    inputShape: '[T/2, 256]',
+                    outputShape: '[T, 88]',
+                    operation: 'ConvTranspose1D(filters=88, kernel=3, stride=2) + Sigmoid',
+                    color: 0xff66cc,
+                    params: 67672,
+                    formula: 'G(z) = σ(W₂ᵀ ∗ h₁ + b₂)',
+                    description: 'Generator output: a fake piano roll with note probabilities for every frame'
+                },
+                {
+                    name: 'Real + Fake Batch',
+                    type: 'pair',
+                    branch: 'discriminator',
+                    inputShape: '[T, 88]',
+                    outputShape: '[T, 88]',
+                    operation: 'Batch(x_real, G(z))',
+                    color: 0x00d4ff,
+                    params: 0,
+                    formula: 'B = {x, G(z)}',
+                    description: 'The real input roll and the generated roll go through the discriminator with the same weights'
+                },
+                {
+                    name: 'Discriminator Conv1',
+                    type: 'critic',
+                    branch: 'discriminator',
+                    inputShape: '[T, 88]',
+                    outputShape: '[T/2, 256]',
+                    operation: 'Conv1D(filters=256, kernel=3, stride=2) + LeakyReLU',
+                    color: 0x0099ff,
+                    params: 67840,
+                    formula: 'd₁ = LeakyReLU(V₁ ∗ B + c₁)',
+                    description: 'Strided convolution looks for local note patterns that give fakes away'
+                },
+                {
+                    name: 'Discriminator Conv2',
+                    type: 'critic',
+                    branch: 'discriminator',
+                    inputShape: '[T/2, 256]',
+                    outputShape: '[T/4, 512]',
+                    operation: 'Conv1D(filters=512, kernel=3, stride=2) + LeakyReLU',
+                    color: 0x0066ff,
+                    params: 393728,
+                    formula: 'd₂ = LeakyReLU(V₂ ∗ d₁ + c₂)',
+                    description: 'Deeper features judge phrase-level structure'
+                },
+                {
+                    name: 'Real/Fake Score',
+                    type: 'score',
+                    branch: 'discriminator',
+                    inputShape: '[T/4, 512]',
+                    outputShape: '[1]',
+                    operation: 'GlobalAvgPool + Dense(1) + Sigmoid',
+                    color: 0x00ff88,
+                    params: 513,
+                    formula: 'D(x) = σ(v · pool(d₂) + c)',
+                    description: 'Probability that each piece is real; the generator is trained to push D(G(z)) up'
+                }
+            ]
+        },
+        EncoderDecoder: {
+            name: 'Encoder–Decoder Transformer',
+            branchLayout: 'parallel',
+            layers: [
+                {
+                    name: 'Source Embedding',
+                    type: 'input',
+                    branch: 'encoder',
+                    inputShape: '[T, 88]',
+                    outputShape: '[T, 256]',
+                    operation: 'Embedding(256)',
+                    color: 0x00d4ff,
+                    params: 22528,
+                    formula: 'E = Embed(X)',
+                    description: 'Embeds the input piano roll frames that the decoder will condition on'
+                },
+                {
+                    name: 'Encoder Positional Encoding',
+                    type: 'positional',
+                    branch: 'encoder',
+                    inputShape: '[T, 256]',
+                    outputShape: '[T, 256]',
+                    operation: 'AddPosEncoding',
+                    color: 0x0099ff,
+                    params: 0,
+                    formula: 'PE(pos,2i) = sin(pos/10000^(2i/d))',
+                    description: 'Adds position information to the source sequence'
+                },
+                {
+                    name: 'Encoder Self-Attention',
+                    type: 'attention',
+                    branch: 'encoder',
+                    inputShape: '[T, 256]',
+                    outputShape: '[T, 256]',
+                    operation: 'MultiHeadAttention(heads=4)',
+                    color: 0x6666ff,
+                    params: 263168,
+                    formula: 'Attention(Q,K,V) = softmax(QKᵀ/√d)V',
+                    description: 'Every source frame attends to every other source frame'
+                },
+                {
+                    name: 'Encoder FFN',
+                    type: 'ffn',
+                    branch: 'encoder',
+                    inputShape: '[T, 256]',
+                    outputShape: '[T, 256]',
+                    operation: 'FFN(1024→256)',
+                    color: 0x3366ff,
+                    params: 525568,
+                    formula: 'M = ReLU(hW₁ + b₁)W₂ + b₂',
+                    description: 'Produces the encoder memory M that the decoder reads through cross-attention'
+                },
+                {
+                    name: 'Target Embedding',
+                    type: 'target',
+                    branch: 'decoder',
+                    inputFrom: null, // the decoder's own previous outputs
+                    inputShape: '[T, 88]',
+                    outputShape: '[T, 256]',
+                    operation: 'Embedding(256)',
+                    color: 0xff9900,
+                    params: 22528,
+                    formula: 'e = Embed(shift_right(Y))',
+                    description: 'Embeds the tokens generated so far, shifted right behind a start token'
+                },
+                {
+                    name: 'Decoder Positional Encoding',
+                    type: 'positional',
+                    branch: 'decoder',
+                    inputShape: '[T, 256]',
+                    outputShape: '[T, 256]',
+                    operation: 'AddPosEncoding',
+                    color: 0xffaa33,
+                    params: 0,
+                    formula: 'PE(pos,2i) = sin(pos/10000^(2i/d))',
+                    description: 'Adds position information to the target sequence'
+                },
+                {
+                    name: 'Masked Self-Attention',
+                    type: 'attention',
+                    branch: 'decoder',
+                    inputShape: '[T, 256]',
+                    outputShape: '[T, 256]',
+                    operation: 'MultiHeadAttention(heads=4, causal=True)',
+                    color: 0xff6600,
+                    params: 263168,
+                    formula: 'softmax(QKᵀ/√d + mask)V',
+                    description: 'Causal mask: each output position only sees the tokens before it'
+                },
+                {
+                    name: 'Cross-Attention',
+                    type: 'cross',
+                    conditioned: true,
+                    branch: 'decoder',
+                    memoryFrom: 3, // keys and values come from the encoder output
+                    inputShape: '[T, 256]',
+                    outputShape: '[T, 256]',
+                    operation: 'MultiHeadAttention(heads=4, cross=True)',
+                    color: 0xff00ff,
+                    params: 263168,
+                    formula: 'softmax(Q_dec K_encᵀ/√d)V_enc',
+                    description: 'Decoder queries attend over the encoder memory to decide what to play next'
+                },
+                {
+                    name: 'Decoder FFN',
+                    type: 'ffn',
+                    branch: 'decoder',
+                    inputShape: '[T, 256]',
+                    outputShape: '[T, 256]',
+                    operation: 'FFN(1024→256)',
+                    color: 0xff3399,
+                    params: 525568,
+                    formula: 'FFN(x) = ReLU(W₁x + b₁)W₂ + b₂',
+                    description: 'Position-wise feed-forward network on the decoder states'
+                },
+                {
+                    name: 'Output Tokens',
+                    type: 'output',
+                    branch: 'decoder',
+                    inputShape: '[T, 256]',
+                    outputShape: '[T, 88]',
+                    operation: 'Linear(88) + Softmax',
+                    color: 0x00ff88,
+                    params: 22616,
+                    formula: 'p(yₜ | y<ₜ, X) = softmax(Wh + b)',
+                    description: 'Distribution over the 88 keys for the next token; decoding picks one token per step'
+                }
+            ]
+        }
+    },
+    
+    // Transformer layers: embedding, positional encoding, N blocks of
+    // attention → Add & Norm → FFN → Add & Norm, then the output projection
+    buildTransformerLayers(blocks) {
+        const layers = [
+            {
+                name: 'Input Embedding',
+                type: 'input',
+                inputShape: '[T, 88]',
+                outputShape: '[T, 512]',
+                operation: 'Embedding(512)',
+                color: 0x00d4ff,
+                params: 45056,
+                formula: 'E = Embed(X)',
+                description: 'Embeds input tokens into high-dimensional space'
+            },
+            {
+                name: 'Positional Encoding',
+                type: 'positional',
+                inputShape: '[T, 512]',
+                outputShape: '[T, 512]',
+                operation: 'AddPosEncoding',
+                color: 0x0099ff,
+                params: 0,
+                formula: 'PE(pos,2i) = sin(pos/10000^(2i/d))',
+                description: 'Adds positional information since Transformer has no inherent sequence order'
+            }
+        ];
+        
+        for (let b = 1; b <= blocks; b++) {
+            const blockInput = layers.length - 1;
+            layers.push(
+                {
+                    name: `Block ${b}: Multi-Head Attention`,
+                    type: 'attention',
+                    conditioned: true,
+                    inputShape: '[T, 512]',
+                    outputShape: '[T, 512]',
+                    operation: 'MultiHeadAttention(heads=8)',
+                    color: 0xff00ff,
+                    params: 1049600,
+                    formula: 'Attention(Q,K,V) = softmax(QKᵀ/√d)V',
+                    description: 'Self-attention mechanism allows each position to attend to all positions'
+                },
+                {
+                    name: `Block ${b}: Add & Norm`,
+                    type: 'addnorm',
+                    residualFrom: blockInput,
+                    inputShape: '[T, 512]',
+                    outputShape: '[T, 512]',
+                    operation: 'Add(residual) + LayerNorm',
+                    color: 0xcc66ff,
+                    params: 1024,
+                    formula: 'h = LayerNorm(x + Attention(x))',
+                    description: 'Residual connection around attention, then layer normalization keeps activations stable'
+                },
+                {
+                    name: `Block ${b}: Feed Forward`,
+                    type: 'ffn',
+                    inputShape: '[T, 512]',
+                    outputShape: '[T, 512]',
+                    operation: 'FFN(2048→512)',
+                    color: 0xff6600,
+                    params: 2099200,
+                    formula: 'FFN(h) = ReLU(W₁h + b₁)W₂ + b₂',
+                    description: 'Position-wise feed-forward network applied to each position independently'
+                },
+                {
+                    name: `Block ${b}: Add & Norm`,
+                    type: 'addnorm',
+                    residualFrom: blockInput + 2,
+                    inputShape: '[T, 512]',
+                    outputShape: '[T, 512]',
+                    operation: 'Add(residual) + LayerNorm',
+                    color: 0xff9966,
+                    params: 1024,
+                    formula: 'y = LayerNorm(h + FFN(h))',
+                    description: 'Residual connection around the feed-forward network, then layer normalization'
+                }
+            );
         }
+        
+        layers.push({
+            name: 'Output Projection',
+            type: 'output',
+            inputShape: '[T, 512]',
+            outputShape: '[T, 88]',
+            operation: 'Linear(88)',
+            color: 0x00ff88,
+            params: 45144,
+            formula: 'Y = Wx + b',
+            description: 'Final linear projection to output vocabulary (88 piano keys)'
+        });
+        
+        return layers;
     },
     
     // Get current architecture
@@ -319,11 +629,37 @@ const AppState = {
         return this.architectures[this.currentArchitecture];
     },
     
+    // Track id of a note; notes without a known track (model output, hand-drawn) are melody
+    trackId(note) {
+        return this.tracks[note.track] ? note.track : 'melody';
+    },
+    
+    // Notes that carry pitch information, i.e. everything but drums
+    pitchedNotes(notes) {
+        return notes.filter(note => this.tracks[this.trackId(note)].pitched);
+    },
+    
+    // A style or a chord progression is set, so layers flagged `conditioned` receive them
+    isConditioned() {
+        return this.style !== 'none' || this.progression.trim() !== '';
+    },
+    
+    // Seeded generator for one named stream ('input', 'forward', 'output', 'network', ...).
+    // Each stream restarts from the seed, so its draws don't depend on what ran before it.
+    createRandom(stream) {
+        return new SeededRandom(`${this.seed}:${stream}`);
+    },
+    
     // Reset state
     reset() {
         this.currentStep = 0;
         this.layerOutputs = [];
         this.outputNotes = [];
+        this.decodeStep = 0;
+        this.diffusionStep = 0;
+        this.isGenerating = false;
         this.isAnimating = false;
     }
 };
+
+AppState.architectures.Transformer.layers = AppState.buildTransformerLayers(AppState.transformerBlocks);
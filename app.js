@@ -1,6 +1,8 @@
 // Global instances
-let engine3D, dataGenerator, visualizer, audioPlayer;
+let engine3D, dataGenerator, visualizer, audioPlayer, midiFile, musicXmlWriter, pianoRollEditor, latentExplorer, comparisonView, shapeInference, paramCounter, architectureLoader, musicMetrics;
 let autoPlayInterval = null;
+let lastRunMetrics = null; // output column of the latest pass, kept as "Previous" for the next one
+let generationTimer = null;
 
 // Wait for everything to load
 window.addEventListener('load', () => {
@@ -26,16 +28,29 @@ function initApp() {
         
         // Initialize components
         console.log('Creating 3D engine...');
+        shapeInference = new ShapeInference();
+        paramCounter = new ParamCounter();
+        architectureLoader = new ArchitectureLoader(shapeInference, paramCounter);
         engine3D = new Engine3D('canvas-3d');
+        engine3D.onAttentionHeadSelect = showAttentionHead;
         
         console.log('Creating data generator...');
         dataGenerator = new DataGenerator();
         
         console.log('Creating visualizer...');
         visualizer = new Visualizer();
+        pianoRollEditor = new PianoRollEditor(visualizer.inputCanvas, visualizer, dataGenerator.rhythm, onInputEdited);
+        visualizer.inputEditor = pianoRollEditor;
+        visualizer.harmonyAnalyzer = new HarmonyAnalyzer(dataGenerator.keyDetector);
+        musicMetrics = new MusicMetrics(visualizer.harmonyAnalyzer);
+        visualizer.drawInput(AppState.inputNotes);
         
         console.log('Creating audio player...');
         audioPlayer = new AudioPlayer();
+        midiFile = new MidiFile();
+        musicXmlWriter = new MusicXmlWriter();
+        latentExplorer = new LatentExplorer(document.getElementById('latent-canvas'), dataGenerator, onLatentDecoded);
+        comparisonView = new ComparisonView('compare-canvas-3d', document.getElementById('compare-output-canvas'), visualizer);
         
         console.log('✅ All components initialized');
         
@@ -53,32 +68,47 @@ function setupEventListeners() {
     
     // Architecture buttons
     document.querySelectorAll('.arch-btn').forEach(btn => {
-        btn.addEventListener('click', (e) => {
-            const arch = e.target.dataset.arch;
-            console.log('Switching to:', arch);
-            
-            document.querySelectorAll('.arch-btn').forEach(b => b.classList.remove('active'));
-            e.target.classList.add('active');
-            
-            AppState.currentArchitecture = arch;
-            AppState.reset();
-            
-            engine3D.buildNetwork(arch);
-            visualizer.updateLayerList([]);
-            
-            document.getElementById('layer-info').style.display = 'none';
-            document.getElementById('tensor-preview').style.display = 'none';
-            
-            updateExplanation(`Switched to ${AppState.getCurrentArch().name}. Generate input data to begin.`);
-        });
+        btn.addEventListener('click', (e) => selectArchitecture(e.currentTarget.dataset.arch));
     });
     
-    // Input buttons
-    document.querySelectorAll('.input-btn').forEach(btn => {
-        btn.addEventListener('click', (e) => {
-            const inputType = e.currentTarget.dataset.input;
-            generateInput(inputType);
-        });
+    // Second architecture side by side
+    document.getElementById('compare-select').addEventListener('change', (e) => setComparison(e.target.value || null));
+    
+    // Extra architectures from JSON
+    const archInput = document.getElementById('arch-file-input');
+    document.getElementById('arch-load-btn').addEventListener('click', () => archInput.click());
+    archInput.addEventListener('change', (e) => {
+        if (e.target.files.length > 0) loadArchitectureFile(e.target.files[0]);
+        e.target.value = '';
+    });
+    
+    // Input generators
+    buildInputGenerators();
+    
+    // MIDI import (button or drag & drop onto the left panel)
+    const midiInput = document.getElementById('midi-file-input');
+    document.getElementById('midi-import-btn').addEventListener('click', () => midiInput.click());
+    midiInput.addEventListener('change', (e) => {
+        if (e.target.files.length > 0) loadMidiFile(e.target.files[0]);
+        e.target.value = '';
+    });
+    
+    const leftPanel = document.querySelector('.left-panel');
+    leftPanel.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        leftPanel.classList.add('drag-over');
+    });
+    leftPanel.addEventListener('dragleave', () => leftPanel.classList.remove('drag-over'));
+    leftPanel.addEventListener('drop', (e) => {
+        e.preventDefault();
+        leftPanel.classList.remove('drag-over');
+        if (e.dataTransfer.files.length > 0) loadMidiFile(e.dataTransfer.files[0]);
+    });
+    
+    document.getElementById('midi-apply-btn').addEventListener('click', applyMidiSelection);
+    
+    document.getElementById('snap-toggle').addEventListener('change', (e) => {
+        pianoRollEditor.snap = e.target.checked;
     });
     
     // Sliders
@@ -87,9 +117,69 @@ function setupEventListeners() {
         document.getElementById('temp-display').textContent = e.target.value;
     });
     
+    populateGridOptions();
+    document.getElementById('grid-select').addEventListener('change', (e) => {
+        AppState.grid = parseFloat(e.target.value);
+        updateRhythmInfo();
+    });
+    document.getElementById('swing-slider').addEventListener('input', (e) => {
+        AppState.swing = parseFloat(e.target.value);
+        updateRhythmInfo();
+    });
+    
+    populateKeyOptions();
+    document.getElementById('key-root-select').addEventListener('change', (e) => {
+        AppState.keyRoot = e.target.value === 'auto' ? 'auto' : parseInt(e.target.value);
+        updateKeyInfo();
+    });
+    document.getElementById('scale-mode-select').addEventListener('change', (e) => {
+        AppState.scaleMode = e.target.value;
+        updateKeyInfo();
+    });
+    document.getElementById('strictness-slider').addEventListener('input', (e) => {
+        AppState.scaleStrictness = parseFloat(e.target.value);
+        document.getElementById('strictness-display').textContent = e.target.value;
+        updateKeyInfo();
+    });
+    
+    populateConditioningOptions();
+    document.getElementById('style-select').addEventListener('change', (e) => {
+        AppState.style = e.target.value;
+        updateConditioningInfo();
+    });
+    document.getElementById('condition-slider').addEventListener('input', (e) => {
+        AppState.conditionStrength = parseFloat(e.target.value);
+        document.getElementById('condition-display').textContent = e.target.value;
+        updateConditioningInfo();
+    });
+    document.getElementById('progression-select').addEventListener('change', (e) => {
+        AppState.progression = e.target.value;
+        document.getElementById('progression-input').value = e.target.value;
+        updateConditioningInfo();
+    });
+    document.getElementById('progression-input').addEventListener('input', (e) => {
+        AppState.progression = e.target.value;
+        const preset = dataGenerator.conditioning.progressions.find(p => p.text === e.target.value.trim());
+        document.getElementById('progression-select').value = preset ? preset.text : '';
+        updateConditioningInfo();
+    });
+    
     document.getElementById('latent-slider').addEventListener('input', (e) => {
         AppState.latentDim = parseInt(e.target.value);
         document.getElementById('latent-display').textContent = e.target.value;
+        resetLatentExplorer();
+    });
+    
+    document.getElementById('blocks-slider').addEventListener('input', (e) => {
+        document.getElementById('blocks-display').textContent = e.target.value;
+    });
+    document.getElementById('blocks-slider').addEventListener('change', (e) => {
+        setTransformerBlocks(parseInt(e.target.value));
+    });
+    
+    document.getElementById('diffusion-slider').addEventListener('input', (e) => {
+        const trajectory = getDiffusionTrajectory();
+        if (trajectory && !AppState.isAnimating) showDiffusionState(trajectory, parseInt(e.target.value));
     });
     
     document.getElementById('speed-slider').addEventListener('input', (e) => {
@@ -97,6 +187,15 @@ function setupEventListeners() {
         document.getElementById('speed-display').textContent = e.target.value + 'x';
     });
     
+    document.getElementById('seed-input').addEventListener('change', (e) => {
+        const seed = parseInt(e.target.value);
+        if (isNaN(seed) || seed < 0) {
+            e.target.value = AppState.seed;
+            return;
+        }
+        setSeed(seed);
+    });
+    
     // Control buttons
     document.getElementById('run-btn').addEventListener('click', runForwardPass);
     document.getElementById('step-forward-btn').addEventListener('click', stepForward);
@@ -107,7 +206,7 @@ function setupEventListeners() {
     // Audio
     document.getElementById('play-btn').addEventListener('click', () => {
         if (AppState.outputNotes && AppState.outputNotes.length > 0) {
-            audioPlayer.play(AppState.outputNotes);
+            playOutputs();
         } else {
             updateExplanation('⚠️ No output generated yet. Run forward pass first.');
         }
@@ -117,33 +216,480 @@ function setupEventListeners() {
         audioPlayer.stop();
     });
     
+    document.getElementById('play-input-btn').addEventListener('click', () => {
+        if (AppState.inputNotes.length > 0) {
+            audioPlayer.play(AppState.inputNotes);
+        } else {
+            updateExplanation('⚠️ Please generate input data first.');
+        }
+    });
+    
+    document.getElementById('stop-input-btn').addEventListener('click', () => {
+        audioPlayer.stop();
+    });
+    
+    updateTrackStrip();
+    
+    document.getElementById('generation-toggle-btn').addEventListener('click', toggleGeneration);
+    
+    document.getElementById('latent-encode-btn').addEventListener('click', encodeLatentInputs);
+    document.getElementById('latent-add-btn').addEventListener('click', addLatentInput);
+    
+    document.getElementById('download-midi-btn').addEventListener('click', downloadMidi);
+    document.getElementById('download-musicxml-btn').addEventListener('click', downloadMusicXml);
+    
     console.log('✅ Event listeners attached');
 }
 
 function initializeArchitecture() {
+    checkArchitectureShapes();
+    updateTransformerBlocksInfo();
+    resetLatentExplorer();
+    updateComparisonOptions();
     engine3D.buildNetwork('VAE');
     visualizer.updateLayerList([]);
     updateExplanation('Welcome! Select an input type to generate music data, then click "Run Forward Pass" to see the neural network in action.');
 }
 
+function selectArchitecture(arch) {
+    console.log('Switching to:', arch);
+    
+    document.querySelectorAll('.arch-btn').forEach(b => b.classList.toggle('active', b.dataset.arch === arch));
+    
+    AppState.currentArchitecture = arch;
+    AppState.reset();
+    
+    const report = checkArchitectureShapes();
+    engine3D.buildNetwork(arch);
+    visualizer.updateLayerList([]);
+    
+    document.getElementById('layer-info').style.display = 'none';
+    document.getElementById('tensor-preview').style.display = 'none';
+    hideDiffusionScrubber();
+    resetGeneration();
+    resetLatentExplorer();
+    comparisonView.reset();
+    updateComparisonLabels();
+    updateConditioningInfo();
+    
+    const shapeNote = report.issueCount > 0 ? ` ⚠️ Shape check found ${report.issueCount} issue(s), see the layer list.` : '';
+    updateExplanation(`Switched to ${AppState.getCurrentArch().name}. Generate input data to begin.${shapeNote}`);
+}
+
+async function loadArchitectureFile(file) {
+    try {
+        const result = architectureLoader.load(await file.text());
+        if (result.errors.length > 0) {
+            console.warn('Architecture schema errors:', result.errors);
+            updateExplanation(`❌ ${file.name} was not loaded: ${result.errors.slice(0, 3).join('; ')}` +
+                (result.errors.length > 3 ? ` (and ${result.errors.length - 3} more, see console)` : ''));
+            return;
+        }
+        
+        const keys = Object.keys(result.architectures);
+        keys.forEach(key => {
+            AppState.architectures[key] = result.architectures[key];
+            addArchitectureButton(key);
+        });
+        updateComparisonOptions();
+        selectArchitecture(keys[0]);
+    } catch (error) {
+        console.error('Error loading architecture:', error);
+        updateExplanation(`❌ Could not read ${file.name}: ${error.message}`);
+    }
+}
+
+// Loading the same id again replaces the architecture but keeps its button
+function addArchitectureButton(key) {
+    const selector = document.querySelector('.arch-selector');
+    if (selector.querySelector(`.arch-btn[data-arch="${key}"]`)) return;
+    
+    const btn = document.createElement('button');
+    btn.className = 'arch-btn custom';
+    btn.dataset.arch = key;
+    btn.textContent = key;
+    btn.title = AppState.architectures[key].name;
+    btn.addEventListener('click', () => selectArchitecture(key));
+    selector.insertBefore(btn, document.getElementById('arch-load-btn'));
+}
+
+// Propagate declared shapes through the current architecture for the input's T,
+// then derive parameter counts from the concrete input shapes
+function checkArchitectureShapes() {
+    const T = AppState.inputNotes.length > 0 ? dataGenerator.ops.frameCount(AppState.inputNotes) : 32;
+    AppState.shapeReport = shapeInference.check(AppState.getCurrentArch(), T);
+    AppState.paramReport = paramCounter.count(AppState.getCurrentArch(), AppState.shapeReport);
+    return AppState.shapeReport;
+}
+
+function setSeed(seed) {
+    AppState.seed = seed;
+    AppState.reset();
+    
+    // The 3D wiring is drawn from the seed too, so rebuild it
+    checkArchitectureShapes();
+    engine3D.buildNetwork(AppState.currentArchitecture);
+    visualizer.updateLayerList([]);
+    resetLatentExplorer();
+    if (comparisonView.isActive()) comparisonView.setArchitecture(comparisonView.architecture);
+    
+    document.getElementById('layer-info').style.display = 'none';
+    document.getElementById('tensor-preview').style.display = 'none';
+    
+    updateExplanation(`🎲 Seed set to ${seed}. Regenerate input and run the forward pass to reproduce this run.`);
+}
+
+// Rebuild the Transformer stack with N blocks; the 3D scene, layer list and totals follow
+function setTransformerBlocks(blocks) {
+    AppState.transformerBlocks = blocks;
+    AppState.architectures.Transformer.layers = AppState.buildTransformerLayers(blocks);
+    
+    if (comparisonView.architecture === 'Transformer') {
+        comparisonView.setArchitecture('Transformer');
+    }
+    if (AppState.currentArchitecture === 'Transformer') {
+        selectArchitecture('Transformer');
+        updateExplanation(`🧱 Transformer rebuilt with ${blocks} block${blocks > 1 ? 's' : ''}: ` +
+            `${AppState.paramReport.total.toLocaleString()} parameters. Run the forward pass to see it.`);
+    }
+    updateTransformerBlocksInfo();
+}
+
+function updateTransformerBlocksInfo() {
+    const arch = AppState.architectures.Transformer;
+    const T = AppState.shapeReport ? AppState.shapeReport.T : 32;
+    const report = paramCounter.count(arch, shapeInference.check(arch, T));
+    document.getElementById('blocks-info').textContent =
+        `${arch.layers.length} layers · ${(report.total / 1e6).toFixed(2)}M parameters`;
+}
+
+// The explorer needs a latent layer; its points go stale when the weights or z size change
+function resetLatentExplorer() {
+    const available = latentExplorer.isAvailable();
+    document.getElementById('latent-section').style.display = available ? 'block' : 'none';
+    if (available) latentExplorer.setupCanvas(); // the canvas has no size while hidden
+    latentExplorer.clear();
+}
+
+// Encode the built-in inputs (and the current one) to their latent means
+function encodeLatentInputs() {
+    const inputs = dataGenerator.inputGenerators.list().map(generator => ({
+        label: generator.name,
+        notes: dataGenerator.generateInput(generator.id)
+    }));
+    if (AppState.inputNotes.length > 0) {
+        inputs.push({ label: 'Current', notes: AppState.inputNotes.map(note => ({ ...note })) });
+    }
+    
+    latentExplorer.encode(inputs);
+    updateExplanation(`🧭 Encoded ${latentExplorer.points.length} inputs to their latent means μ and projected them to 2D with PCA. ` +
+        'Click a point to decode it, or drag from one point towards another to hear the interpolation.');
+}
+
+// Snapshot of the (possibly edited) input roll as one more point
+function addLatentInput() {
+    if (AppState.inputNotes.length === 0) {
+        updateExplanation('⚠️ Please generate input data first.');
+        return;
+    }
+    latentExplorer.add(`Input ${latentExplorer.points.length + 1}`, AppState.inputNotes.map(note => ({ ...note })));
+}
+
+function onLatentDecoded(notes, label) {
+    AppState.outputNotes = notes;
+    visualizer.drawOutput(notes);
+    audioPlayer.play(notes);
+    updateExplanation(`🧭 Decoded ${label}: the decoder turned z into ${notes.length} notes. Playing now.`);
+}
+
+function populateGridOptions() {
+    const select = document.getElementById('grid-select');
+    dataGenerator.rhythm.options.forEach(option => {
+        select.add(new Option(option.label, option.beats, false, option.beats === AppState.grid));
+    });
+    updateRhythmInfo();
+}
+
+// Swing has no effect on a triplet grid. Only the gridlines (and the input editor's snapping)
+// change: notes already generated keep the grid they were snapped to.
+function updateRhythmInfo() {
+    const triplet = dataGenerator.rhythm.isTriplet();
+    document.getElementById('swing-slider').disabled = triplet;
+    document.getElementById('swing-display').textContent = triplet ? 'triplets' :
+        AppState.swing === 0 ? 'straight' : `swing ${AppState.swing.toFixed(1)}`;
+    
+    visualizer.drawInput(AppState.inputNotes);
+    visualizer.drawOutput(AppState.outputNotes);
+    comparisonView.drawOutput();
+}
+
+function populateKeyOptions() {
+    const keyDetector = dataGenerator.keyDetector;
+    const rootSelect = document.getElementById('key-root-select');
+    keyDetector.noteNames.forEach((name, root) => rootSelect.add(new Option(name, root)));
+    const modeSelect = document.getElementById('scale-mode-select');
+    Object.entries(keyDetector.scales).forEach(([mode, scale]) => modeSelect.add(new Option(scale.name, mode)));
+    updateKeyInfo();
+}
+
+// Show the key output is drawn to and, when part of it is automatic, what was detected
+function updateKeyInfo() {
+    const scale = dataGenerator.getScale();
+    const keyDetector = dataGenerator.keyDetector;
+    document.getElementById('key-display').textContent = keyDetector.describe(scale.root, scale.mode);
+    
+    const detected = scale.detected
+        ? `Detected ${keyDetector.describe(scale.detected.root, scale.detected.mode)} (r = ${scale.detected.correlation.toFixed(2)})`
+        : 'No input to detect a key from';
+    const effect = scale.strictness === 0 ? 'scale ignored' :
+        scale.strictness === 1 ? 'every output note in the scale' : `out-of-scale notes ×${(1 - scale.strictness).toFixed(1)}`;
+    document.getElementById('key-info').textContent = `${detected} · ${effect}`;
+    updateConditioningInfo(); // numerals are read in this key
+}
+
+function populateConditioningOptions() {
+    const conditioning = dataGenerator.conditioning;
+    const styleSelect = document.getElementById('style-select');
+    Object.entries(conditioning.styles).forEach(([id, style]) => styleSelect.add(new Option(style.name, id)));
+    const progressionSelect = document.getElementById('progression-select');
+    conditioning.progressions.forEach(preset => progressionSelect.add(new Option(preset.label, preset.text)));
+    updateConditioningInfo();
+}
+
+// What the next pass is conditioned on (and any chords that could not be read); the 3D side
+// branch dims while nothing is set
+function updateConditioningInfo() {
+    const conditioning = dataGenerator.conditioning;
+    const scale = dataGenerator.getScale();
+    const { unknown } = conditioning.parse(AppState.progression, scale);
+    
+    let info = AppState.isConditioned()
+        ? `${conditioning.describe(scale) || 'No chords'} → ${AppState.getCurrentArch().layers.filter(l => l.conditioned).length} conditioned layers, next pass`
+        : 'Unconditioned';
+    if (unknown.length > 0) info += ` · unknown: ${unknown.join(' ')}`;
+    document.getElementById('condition-info').textContent = info;
+    
+    engine3D.updateConditioning();
+    if (comparisonView.engine) comparisonView.engine.updateConditioning();
+}
+
+// One button per registered input generator; the selected one shows its parameters below
+function buildInputGenerators() {
+    const container = document.getElementById('generator-buttons');
+    dataGenerator.inputGenerators.list().forEach(generator => {
+        const btn = document.createElement('button');
+        btn.className = 'input-btn';
+        btn.dataset.input = generator.id;
+        btn.title = generator.description;
+        btn.textContent = `${generator.icon} ${generator.name}`;
+        btn.addEventListener('click', () => selectInputGenerator(generator.id));
+        container.appendChild(btn);
+    });
+}
+
+function selectInputGenerator(id) {
+    document.querySelectorAll('#generator-buttons .input-btn').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.input === id);
+    });
+    renderGeneratorParams(id);
+    generateInput(id);
+}
+
+function getGeneratorParams(id) {
+    if (!AppState.generatorParams[id]) {
+        AppState.generatorParams[id] = dataGenerator.inputGenerators.defaults(id);
+    }
+    return AppState.generatorParams[id];
+}
+
+// A control per parameter; letting go of one regenerates the input with the new value
+function renderGeneratorParams(id) {
+    const generator = dataGenerator.inputGenerators.get(id);
+    const values = getGeneratorParams(id);
+    const noteNames = dataGenerator.keyDetector.noteNames;
+    const container = document.getElementById('generator-params');
+    container.innerHTML = '';
+    
+    const description = document.createElement('div');
+    description.className = 'param-note';
+    description.textContent = generator.description;
+    container.appendChild(description);
+    
+    Object.entries(generator.params).forEach(([name, spec]) => {
+        const control = document.createElement('div');
+        control.className = 'param-control';
+        const label = document.createElement('div');
+        label.className = 'param-label';
+        const title = document.createElement('span');
+        title.textContent = spec.label;
+        const display = document.createElement('span');
+        display.className = 'param-value';
+        label.append(title, display);
+        
+        let input;
+        if (spec.type === 'key') {
+            input = document.createElement('select');
+            input.className = 'param-input';
+            noteNames.forEach((noteName, root) => input.add(new Option(noteName, root)));
+        } else {
+            input = document.createElement('input');
+            input.type = 'range';
+            input.min = spec.min;
+            input.max = spec.max;
+            input.step = spec.step;
+        }
+        input.value = values[name];
+        
+        const show = () => {
+            display.textContent = spec.type === 'key' ? noteNames[input.value] : input.value;
+        };
+        show();
+        input.addEventListener('input', show);
+        input.addEventListener('change', () => {
+            values[name] = parseFloat(input.value);
+            generateInput(id);
+        });
+        
+        control.append(label, input);
+        container.appendChild(control);
+    });
+    container.style.display = 'grid';
+}
+
 function generateInput(type) {
     try {
-        const notes = dataGenerator.generateInput(type);
+        const generator = dataGenerator.inputGenerators.get(type);
+        const params = getGeneratorParams(type);
+        const notes = dataGenerator.generateInput(type, params);
+        if (params.tempo) AppState.bpm = params.tempo;
         AppState.inputNotes = notes;
         AppState.inputData = notes;
         
         visualizer.drawInput(notes);
-        visualizer.updateLayerList([]);
         AppState.reset();
+        checkArchitectureShapes();
+        updateKeyInfo();
+        updateTrackStrip();
+        visualizer.updateLayerList([]);
         
-        const typeNames = { 'random': 'random melody', 'scale': 'C major scale', 'chord': 'chord progression' };
-        updateExplanation(`✅ Generated ${typeNames[type]} with ${notes.length} notes. Click "Run Forward Pass" to process.`);
+        updateExplanation(`✅ Generated ${generator.icon} ${generator.name} with ${notes.length} notes. Click "Run Forward Pass" to process.`);
     } catch (error) {
         console.error('Error generating input:', error);
         updateExplanation('❌ Error generating input.');
     }
 }
 
+// Mute / solo per track, with how many input notes each one holds
+function updateTrackStrip() {
+    const strip = document.getElementById('track-strip');
+    strip.innerHTML = '';
+    Object.entries(AppState.tracks).forEach(([id, track]) => {
+        const count = AppState.inputNotes.filter(note => AppState.trackId(note) === id).length;
+        const row = document.createElement('div');
+        row.className = count > 0 ? 'track-row' : 'track-row empty';
+        const swatch = document.createElement('span');
+        swatch.className = 'track-swatch';
+        swatch.style.background = `hsl(${track.hue}, 100%, 55%)`;
+        const name = document.createElement('span');
+        name.className = 'track-name';
+        name.textContent = `${track.name} · ${count}`;
+        row.append(swatch, name, createTrackToggle(id, 'muted', 'M', 'Mute'), createTrackToggle(id, 'solo', 'S', 'Solo'));
+        strip.appendChild(row);
+    });
+}
+
+function createTrackToggle(id, flag, label, title) {
+    const btn = document.createElement('button');
+    btn.className = AppState.tracks[id][flag] ? `track-toggle ${flag} active` : `track-toggle ${flag}`;
+    btn.textContent = label;
+    btn.title = title;
+    btn.addEventListener('click', () => {
+        AppState.tracks[id][flag] = !AppState.tracks[id][flag];
+        audioPlayer.updateTracks();
+        updateTrackStrip();
+    });
+    return btn;
+}
+
+// Edits invalidate any layer outputs computed from the previous input
+function onInputEdited(notes) {
+    AppState.reset();
+    checkArchitectureShapes();
+    updateKeyInfo();
+    updateTrackStrip();
+    visualizer.updateLayerList([]);
+    
+    document.getElementById('layer-info').style.display = 'none';
+    document.getElementById('tensor-preview').style.display = 'none';
+    
+    updateExplanation(`✏️ Input edited (${notes.length} notes). Click "Run Forward Pass" to process your motif.`);
+}
+
+async function loadMidiFile(file) {
+    try {
+        const buffer = await file.arrayBuffer();
+        const midi = midiFile.parse(buffer);
+        AppState.midiImport = midi;
+        
+        // Track picker: only tracks that actually contain notes
+        const select = document.getElementById('midi-track-select');
+        select.innerHTML = '<option value="-1">All tracks</option>';
+        midi.tracks.forEach((track, index) => {
+            if (track.notes.length === 0) return;
+            const option = document.createElement('option');
+            option.value = index;
+            option.textContent = `${track.name} · ${AppState.tracks[track.role].name} (${track.notes.length} notes)`;
+            select.appendChild(option);
+        });
+        
+        // Default window: as much as fits in the piano-roll tensor
+        const maxWindow = dataGenerator.ops.maxFrames * dataGenerator.ops.frameDuration;
+        document.getElementById('midi-start').value = 0;
+        document.getElementById('midi-end').value = Math.min(midi.duration, maxWindow).toFixed(2);
+        document.getElementById('midi-file-name').textContent = file.name;
+        document.getElementById('midi-file-info').textContent = `${Math.round(midi.bpm)} BPM · ${midi.duration.toFixed(1)}s`;
+        document.getElementById('midi-options').style.display = 'grid';
+        
+        applyMidiSelection();
+    } catch (error) {
+        console.error('Error importing MIDI:', error);
+        updateExplanation(`❌ Could not import ${file.name}: ${error.message}`);
+    }
+}
+
+function applyMidiSelection() {
+    const midi = AppState.midiImport;
+    if (!midi) return;
+    
+    const trackIndex = parseInt(document.getElementById('midi-track-select').value);
+    const start = Math.max(0, parseFloat(document.getElementById('midi-start').value) || 0);
+    const end = parseFloat(document.getElementById('midi-end').value) || midi.duration;
+    
+    if (end <= start) {
+        updateExplanation('⚠️ The MIDI time window must end after it starts.');
+        return;
+    }
+    
+    const notes = midiFile.extractNotes(midi, trackIndex, start, end);
+    if (notes.length === 0) {
+        updateExplanation('⚠️ No notes in the selected track and time window.');
+        return;
+    }
+    
+    AppState.inputNotes = notes;
+    AppState.inputData = notes;
+    AppState.bpm = midi.bpm;
+    
+    visualizer.drawInput(notes);
+    AppState.reset();
+    checkArchitectureShapes();
+    updateKeyInfo();
+    updateTrackStrip();
+    visualizer.updateLayerList([]);
+    
+    updateExplanation(`✅ Imported ${notes.length} notes (${start}s – ${end}s). Click "Run Forward Pass" to process.`);
+}
+
 function runForwardPass() {
     if (!AppState.inputData || AppState.inputData.length === 0) {
         updateExplanation('⚠️ Please generate input data first.');
@@ -155,6 +701,8 @@ function runForwardPass() {
     try {
         AppState.reset();
         AppState.isAnimating = true;
+        hideDiffusionScrubber();
+        resetGeneration();
         visualizer.showLoadingAnimation();
         
         processAllLayers();
@@ -167,6 +715,12 @@ function runForwardPass() {
 }
 
 function processAllLayers() {
+    computeLayerOutputs();
+    animateStep(0);
+}
+
+// Runs every layer on the input and links attention heads by how alike their weights are
+function computeLayerOutputs() {
     const arch = AppState.getCurrentArch();
     let currentData = AppState.inputData;
     
@@ -176,7 +730,67 @@ function processAllLayers() {
         currentData = layerOutput.data;
     });
     
-    animateStep(0);
+    engine3D.updateAttentionLinks(AppState.layerOutputs);
+    comparisonView.run(AppState.inputData);
+}
+
+// ---------- Side-by-side comparison ----------
+
+function updateComparisonOptions() {
+    const select = document.getElementById('compare-select');
+    Object.keys(AppState.architectures).forEach(key => {
+        if (select.querySelector(`option[value="${key}"]`)) return;
+        const option = document.createElement('option');
+        option.value = key;
+        option.textContent = `⚖️ vs ${key}`;
+        select.appendChild(option);
+    });
+}
+
+// Show `key` beside the selected architecture (null closes the split screen).
+// An existing forward pass is repeated on the comparison right away.
+function setComparison(key) {
+    document.getElementById('app').classList.toggle('comparing', key !== null);
+    engine3D.resize();
+    comparisonView.setArchitecture(key);
+    updateComparisonLabels();
+    
+    if (key === null) {
+        updateExplanation(`Comparison closed. Showing ${AppState.getCurrentArch().name} only.`);
+        return;
+    }
+    
+    if (AppState.layerOutputs.length > 0) {
+        comparisonView.run(AppState.inputData);
+        highlightStep(AppState.currentStep);
+        if (AppState.outputNotes.length > 0) comparisonView.reveal();
+    }
+    updateExplanation(`⚖️ Comparing ${AppState.getCurrentArch().name} with ${comparisonView.getArch().name}. ` +
+        'One forward pass runs the same input through both; "Play" plays both outputs one after the other.');
+}
+
+function updateComparisonLabels() {
+    const mainName = AppState.getCurrentArch().name;
+    const compareName = comparisonView.isActive() ? comparisonView.getArch().name : '';
+    document.getElementById('main-pane-label').textContent = mainName;
+    document.getElementById('main-output-title').textContent = mainName;
+    document.getElementById('compare-pane-label').textContent = compareName;
+    document.getElementById('compare-output-title').textContent = compareName;
+}
+
+// Both 3D views follow the same step; the comparison maps it onto its own layers
+function highlightStep(step) {
+    engine3D.highlightLayer(step);
+    comparisonView.showStep(step, AppState.getCurrentArch().layers.length);
+}
+
+function playOutputs() {
+    if (comparisonView.revealed && comparisonView.outputNotes.length > 0) {
+        audioPlayer.playInSequence([AppState.outputNotes, comparisonView.outputNotes]);
+        updateExplanation(`🔊 Playing ${AppState.getCurrentArch().name}, then ${comparisonView.getArch().name}.`);
+    } else {
+        audioPlayer.play(AppState.outputNotes);
+    }
 }
 
 function animateStep(step) {
@@ -196,7 +810,7 @@ function animateStep(step) {
         layerData = AppState.layerOutputs[step];
     }
     
-    engine3D.highlightLayer(step);
+    highlightStep(step);
     
     if (layerData) {
         visualizer.updateLayerInfo(layerData, step);
@@ -211,18 +825,231 @@ function animateStep(step) {
             const delay = 1000 / AppState.animationSpeed;
             // Only animate data flow if we have actual layer outputs
             if (step < AppState.layerOutputs.length - 1) {
+                // The main view's flow starts last so its tensor preview is the one left showing
+                comparisonView.animateStep(step, totalLayers);
                 engine3D.animateDataFlow(step, step + 1, () => {
                     setTimeout(() => animateStep(step + 1), delay);
                 });
             } else {
                 setTimeout(() => animateStep(step + 1), delay);
             }
+        } else if (layerData && layerData.details && layerData.details.tokens) {
+            revealTokens(layerData.details.tokens, 1, () => animateStep(step + 1));
+        } else if (layerData && layerData.details && layerData.details.trajectory) {
+            revealDiffusion(layerData.details.trajectory, 0, () => animateStep(step + 1));
+        } else if (layerData && layerData.details && layerData.details.generation) {
+            runGeneration(layerData.details.generation, () => animateStep(step + 1));
         } else {
             setTimeout(() => animateStep(step + 1), 500);
         }
     }
 }
 
+// Play the decoder's output tokens into the output roll one at a time
+function revealTokens(tokens, count, done) {
+    showDecodedTokens(tokens, count);
+    if (count >= tokens.length) {
+        setTimeout(done, 500);
+        return;
+    }
+    setTimeout(() => revealTokens(tokens, count + 1, done), 150 / AppState.animationSpeed);
+}
+
+function showDecodedTokens(tokens, count) {
+    AppState.decodeStep = count;
+    AppState.outputNotes = dataGenerator.rhythm.quantize(dataGenerator.tokensToNotes(tokens.slice(0, count)));
+    visualizer.drawOutput(AppState.outputNotes);
+    
+    const token = tokens[count - 1];
+    updateExplanation(`🎹 Decoder token ${count} / ${tokens.length}: ${pitchName(token.pitch)} (p = ${token.probability.toFixed(3)}). ` +
+        'Masked self-attention sees only the tokens before it; cross-attention reads the encoder memory.');
+}
+
+// Walk the output roll from pure noise to x₀ one denoising step at a time; each step is only
+// sampled when it is shown, so the sampler never blocks the page for the whole chain
+function revealDiffusion(trajectory, index, done) {
+    showDiffusionState(trajectory, index);
+    if (index >= trajectory.timesteps.length - 1) {
+        setTimeout(done, 500);
+        return;
+    }
+    setTimeout(() => revealDiffusion(trajectory, index + 1, done), 400 / AppState.animationSpeed);
+}
+
+function getDiffusionTrajectory() {
+    const last = AppState.layerOutputs[AppState.layerOutputs.length - 1];
+    return last && last.details ? last.details.trajectory : null;
+}
+
+// Show sampling state `index` (0 = pure noise x_T, last = x₀) on the output roll,
+// the scrubber and the 3D timestep ring, sampling any steps up to it not taken yet
+function showDiffusionState(trajectory, index) {
+    dataGenerator.sampleUntil(trajectory, index);
+    const steps = trajectory.timesteps.length - 1;
+    const timestep = trajectory.timesteps[index];
+    AppState.diffusionStep = index;
+    engine3D.setActiveTimestep(steps - index);
+    
+    document.getElementById('diffusion-scrubber').style.display = 'block';
+    const slider = document.getElementById('diffusion-slider');
+    slider.max = steps;
+    slider.value = index;
+    document.getElementById('diffusion-step-display').textContent = `t = ${timestep}`;
+    document.getElementById('diffusion-step-info').textContent = index === 0 ? 'Pure Gaussian noise' :
+        index === steps ? 'Final sample x₀' : `After ${index} of ${steps} denoising steps`;
+    
+    if (index === steps) {
+        AppState.outputNotes = dataGenerator.rhythm.quantize(dataGenerator.rollToNotes(trajectory.states[steps]));
+        visualizer.drawOutput(AppState.outputNotes);
+    } else {
+        visualizer.drawRollTensor(trajectory.states[index], `xₜ, t = ${timestep}`);
+    }
+    
+    updateExplanation(`🌫️ Reverse diffusion ${index} / ${steps}: ` + (index === 0
+        ? 'sampling starts from Gaussian noise over the whole [T, 88] roll.'
+        : `the U-Net predicted ε̂ at t = ${trajectory.timesteps[index - 1]} and the sampler stepped down to t = ${timestep}.`));
+}
+
+function hideDiffusionScrubber() {
+    document.getElementById('diffusion-scrubber').style.display = 'none';
+    engine3D.setActiveTimestep(0);
+}
+
+function pitchName(pitch) {
+    return dataGenerator.noteNames[pitch % 12] + (Math.floor(pitch / 12) - 1);
+}
+
+// Clicked attention head in the 3D view: show its T×T weights with each input frame
+// labelled by the loudest note sounding in it and each decoder frame by the token it output
+function showAttentionHead(layerIndex, headIndex) {
+    if (AppState.layerOutputs.length === 0) {
+        if (!AppState.inputData || AppState.inputData.length === 0) {
+            updateExplanation('⚠️ Generate input first to see what this attention head looks at.');
+            return;
+        }
+        computeLayerOutputs();
+    }
+    
+    const layerData = AppState.layerOutputs[layerIndex];
+    const heads = layerData && layerData.details && layerData.details.attention;
+    if (!heads || !heads[headIndex]) return;
+    
+    const weights = heads[headIndex];
+    const roll = dataGenerator.pass.roll;
+    const keys = roll.shape[1];
+    const frames = Math.max(...weights.shape);
+    const labels = Array.from({ length: frames }, (_, t) => {
+        if (t >= roll.shape[0]) return '·';
+        let loudest = -1;
+        for (let k = 0; k < keys; k++) {
+            if (roll.data[t * keys + k] > 0 && (loudest < 0 || roll.data[t * keys + k] > roll.data[t * keys + loudest])) {
+                loudest = k;
+            }
+        }
+        return loudest < 0 ? '·' : pitchName(loudest + dataGenerator.ops.minPitch);
+    });
+    
+    // Layers after the target embedding run on the decoder's frames: cross-attention rows
+    // and both axes of the masked self-attention
+    const layers = AppState.getCurrentArch().layers;
+    const targetIndex = layers.findIndex(layer => layer.type === 'target');
+    const decoded = dataGenerator.pass.decoded;
+    const decoder = decoded && targetIndex >= 0 && layerIndex > targetIndex;
+    const tokenLabels = decoded && Array.from({ length: frames }, (_, t) =>
+        decoded.tokens[t] ? pitchName(decoded.tokens[t].pitch) : '·');
+    
+    visualizer.showAttentionMap({
+        title: `${layerData.layer} · Head ${headIndex + 1}`,
+        weights,
+        labels: decoder && !layerData.details.cross ? tokenLabels : labels,
+        rowLabels: decoder ? tokenLabels : null,
+        frameDuration: dataGenerator.ops.frameDuration
+    });
+    
+    const kind = layerData.details.cross ? 'decoder frame (row) reads from each encoder frame (column)' : 'frame (row) attends to each frame (column)';
+    updateExplanation(`🎯 Head ${headIndex + 1} of ${heads.length}: how strongly each ${kind}. Hover a cell to find both notes on the input roll.`);
+}
+
+function getGeneration() {
+    const last = AppState.layerOutputs[AppState.layerOutputs.length - 1];
+    return last && last.details ? last.details.generation : null;
+}
+
+// Generate one frame per tick until the sequence is complete or the user stops it
+function runGeneration(gen, done = null) {
+    AppState.isGenerating = true;
+    updateGenerationButton(gen);
+    
+    const tick = () => {
+        generationTimer = null;
+        // Stopped, or a new pass has replaced this sequence
+        if (!AppState.isGenerating || getGeneration() !== gen) return;
+        
+        showGenerationStep(gen, dataGenerator.generateStep(gen));
+        if (gen.tokens.length < gen.length) {
+            generationTimer = setTimeout(tick, 150 / AppState.animationSpeed);
+            return;
+        }
+        
+        AppState.isGenerating = false;
+        updateGenerationButton(gen);
+        if (done) {
+            setTimeout(done, 500);
+        } else {
+            updateMetrics();
+            updateExplanation(`✅ Generated all ${gen.length} frames. Click "Play" to hear.`);
+        }
+    };
+    tick();
+}
+
+function showGenerationStep(gen, step) {
+    AppState.outputNotes = dataGenerator.rhythm.quantize(dataGenerator.tokensToNotes(gen.tokens));
+    visualizer.drawOutput(AppState.outputNotes, gen.length * dataGenerator.ops.frameDuration);
+    
+    document.getElementById('generation-panel').style.display = 'block';
+    visualizer.drawGenerationState(step, gen.length);
+    updateGenerationButton(gen);
+    
+    const token = step.token;
+    const [start, end] = step.window;
+    updateExplanation(`🔁 Frame ${token.frame + 1} / ${gen.length}: sampled ${pitchName(token.pitch)} (p = ${token.probability.toFixed(3)}) ` +
+        'and fed it back in as the next input. ' + (step.hidden
+            ? 'The LSTM carries its hidden and cell state on to the next frame.'
+            : `Attention only sees the context frames ${start}–${end - 1}, never the future.`));
+}
+
+// Stop mid-sequence (a running forward pass then finishes with what has been generated) or resume
+function toggleGeneration() {
+    const gen = getGeneration();
+    if (!gen) return;
+    
+    if (AppState.isGenerating) {
+        AppState.isGenerating = false;
+        clearTimeout(generationTimer);
+        generationTimer = null;
+        updateGenerationButton(gen);
+        if (AppState.isAnimating) completeForwardPass();
+        updateExplanation(`⏸ Stopped at frame ${gen.tokens.length} / ${gen.length}. Click "Resume" to continue the sequence.`);
+    } else if (gen.tokens.length < gen.length) {
+        runGeneration(gen);
+    }
+}
+
+function updateGenerationButton(gen) {
+    const btn = document.getElementById('generation-toggle-btn');
+    const complete = gen.tokens.length >= gen.length;
+    btn.textContent = AppState.isGenerating ? '⏸ Stop' : complete ? '✅ Complete' : '▶ Resume';
+    btn.disabled = !AppState.isGenerating && complete;
+}
+
+function resetGeneration() {
+    AppState.isGenerating = false;
+    clearTimeout(generationTimer);
+    generationTimer = null;
+    document.getElementById('generation-panel').style.display = 'none';
+}
+
 function completeForwardPass() {
     AppState.isAnimating = false;
     visualizer.hideLoadingAnimation();
@@ -236,12 +1063,16 @@ function completeForwardPass() {
     if (finalLayerData) {
         AppState.outputNotes = dataGenerator.generateOutput(finalLayerData.data);
         visualizer.drawOutput(AppState.outputNotes);
+        comparisonView.reveal();
     }
     
     // Update final view
     updateStepView();
+    updateMetrics();
     
-    updateExplanation(`✅ Forward pass complete! Generated ${AppState.outputNotes.length} notes. Click "Play" to hear.`);
+    const scores = finalLayerData && finalLayerData.details && finalLayerData.details.scores;
+    const scoreNote = scores ? ` Discriminator: D(real)=${scores.real.toFixed(2)}, D(fake)=${scores.fake.toFixed(2)}.` : '';
+    updateExplanation(`✅ Forward pass complete! Generated ${AppState.outputNotes.length} notes.${scoreNote} Click "Play" to hear.`);
 }
 
 function generateDataOnly() {
@@ -254,14 +1085,7 @@ function generateDataOnly() {
         AppState.reset();
         
         // Process all layers without animation
-        const arch = AppState.getCurrentArch();
-        let currentData = AppState.inputData;
-        
-        arch.layers.forEach((layer, index) => {
-            const layerOutput = dataGenerator.processLayer(index, currentData);
-            AppState.layerOutputs.push(layerOutput);
-            currentData = layerOutput.data;
-        });
+        computeLayerOutputs();
         
         // Set to first step and update view
         AppState.currentStep = 0;
@@ -285,6 +1109,28 @@ function stepForward() {
     const arch = AppState.getCurrentArch();
     const totalLayers = arch.layers.length;
     
+    // On the decoder output, each step reveals the next token
+    const current = AppState.layerOutputs[AppState.currentStep];
+    const tokens = current && current.details && current.details.tokens;
+    if (tokens && AppState.decodeStep < tokens.length) {
+        showDecodedTokens(tokens, AppState.decodeStep + 1);
+        return;
+    }
+    
+    // On a sequence model's output, each step generates the next frame
+    const generation = current && current.details && current.details.generation;
+    if (generation && !AppState.isGenerating && generation.tokens.length < generation.length) {
+        showGenerationStep(generation, dataGenerator.generateStep(generation));
+        return;
+    }
+    
+    // On the diffusion output, each step takes one denoising step
+    const trajectory = current && current.details && current.details.trajectory;
+    if (trajectory && AppState.diffusionStep < trajectory.timesteps.length - 1) {
+        showDiffusionState(trajectory, AppState.diffusionStep + 1);
+        return;
+    }
+    
     if (AppState.currentStep < totalLayers - 1) {
         AppState.currentStep++;
         
@@ -292,7 +1138,7 @@ function stepForward() {
         const step = AppState.currentStep;
         const layerData = AppState.layerOutputs[step];
         
-        engine3D.highlightLayer(step);
+        highlightStep(step);
         
         if (layerData) {
             visualizer.updateLayerInfo(layerData, step);
@@ -302,8 +1148,17 @@ function stepForward() {
         visualizer.updateLayerList(AppState.layerOutputs);
         
         if (step === totalLayers - 1 && layerData) {
-            AppState.outputNotes = dataGenerator.generateOutput(layerData.data);
-            visualizer.drawOutput(AppState.outputNotes);
+            if (layerData.details && layerData.details.tokens) {
+                showDecodedTokens(layerData.details.tokens, 1);
+            } else if (layerData.details && layerData.details.trajectory) {
+                showDiffusionState(layerData.details.trajectory, 0);
+            } else if (layerData.details && layerData.details.generation) {
+                showGenerationStep(layerData.details.generation, dataGenerator.generateStep(layerData.details.generation));
+            } else {
+                AppState.outputNotes = dataGenerator.generateOutput(layerData.data);
+                visualizer.drawOutput(AppState.outputNotes);
+            }
+            comparisonView.reveal();
         }
     }
 }
@@ -320,7 +1175,7 @@ function stepBack() {
         const step = AppState.currentStep;
         const layerData = AppState.layerOutputs[step];
         
-        engine3D.highlightLayer(step);
+        highlightStep(step);
         
         if (layerData) {
             visualizer.updateLayerInfo(layerData, step);
@@ -343,7 +1198,7 @@ function updateStepView() {
         stepDisplay.textContent = `Step ${step + 1} / ${totalLayers}`;
     }
     
-    engine3D.highlightLayer(step);
+    highlightStep(step);
     
     if (layerData) {
         visualizer.updateLayerInfo(layerData, step);
@@ -354,7 +1209,12 @@ function updateStepView() {
     
     if (step === AppState.layerOutputs.length - 1 && layerData) {
         AppState.outputNotes = dataGenerator.generateOutput(layerData.data);
+        AppState.decodeStep = layerData.details && layerData.details.tokens ? layerData.details.tokens.length : 0;
         visualizer.drawOutput(AppState.outputNotes);
+        comparisonView.reveal();
+        
+        const trajectory = layerData.details && layerData.details.trajectory;
+        if (trajectory) showDiffusionState(trajectory, trajectory.timesteps.length - 1);
     }
 }
 
@@ -365,19 +1225,41 @@ function jumpToStep(stepIndex) {
     
     // Generate layer outputs if they don't exist
     if (AppState.layerOutputs.length === 0 && AppState.inputData) {
-        const arch = AppState.getCurrentArch();
-        let currentData = AppState.inputData;
-        
-        arch.layers.forEach((layer, index) => {
-            const layerOutput = dataGenerator.processLayer(index, currentData);
-            AppState.layerOutputs.push(layerOutput);
-            currentData = layerOutput.data;
-        });
+        computeLayerOutputs();
     }
     
     updateStepView();
 }
 
+// Metrics for the input, this pass's output, the comparison output and the previous pass's
+// output, each output with its KL divergence from the input's pitch classes
+function updateMetrics() {
+    const beat = 60 / AppState.bpm;
+    const input = musicMetrics.measure(AppState.inputNotes, beat);
+    const outputColumn = (title, label, notes) => {
+        const metrics = musicMetrics.measure(notes, beat);
+        return { title, label, metrics, divergence: musicMetrics.divergence(metrics, input) };
+    };
+    
+    const arch = AppState.getCurrentArch();
+    const output = outputColumn('Output', `${arch.name}, temperature ${AppState.temperature.toFixed(1)}`, AppState.outputNotes);
+    output.run = AppState.layerOutputs;
+    const columns = [{ title: 'Input', label: 'Input', metrics: input, divergence: null }, output];
+    
+    if (comparisonView.isActive() && comparisonView.outputNotes.length > 0) {
+        columns.push(outputColumn('Compare', comparisonView.getArch().name, comparisonView.outputNotes));
+    }
+    
+    // A repeat call for the same pass (e.g. resuming generation) replaces rather than shifts
+    const previous = lastRunMetrics && lastRunMetrics.run !== output.run ? lastRunMetrics : lastRunMetrics && lastRunMetrics.previous;
+    if (previous) {
+        columns.push({ ...previous, title: 'Previous', divergence: musicMetrics.divergence(previous.metrics, input) });
+    }
+    lastRunMetrics = { ...output, previous: previous && { ...previous, run: null, previous: null } };
+    
+    visualizer.showMetrics(columns);
+}
+
 function resetVisualization() {
     AppState.reset();
     
@@ -390,11 +1272,15 @@ function resetVisualization() {
     
     audioPlayer.stop();
     visualizer.hideLoadingAnimation();
+    hideDiffusionScrubber();
+    resetGeneration();
+    comparisonView.reset();
     
     document.getElementById('progress-fill').style.width = '0%';
     document.getElementById('progress-text').textContent = 'Step 0 / 0';
     document.getElementById('layer-info').style.display = 'none';
     document.getElementById('tensor-preview').style.display = 'none';
+    document.getElementById('metrics-section').style.display = 'none';
     
     visualizer.updateLayerList([]);
     
@@ -405,6 +1291,7 @@ function resetVisualization() {
     
     document.getElementById('output-shape').textContent = '[0, 88]';
     document.getElementById('output-notes').textContent = '0';
+    visualizer.drawAnalysis('output', null);
     
     engine3D.layerNodes.forEach(group => {
         group.children.forEach(node => {
@@ -447,6 +1334,83 @@ function toggleAutoPlay() {
     }
 }
 
+function downloadMidi() {
+    if (!AppState.outputNotes || AppState.outputNotes.length === 0) {
+        updateExplanation('⚠️ No output generated yet. Run forward pass first.');
+        return;
+    }
+    
+    const parts = trackParts('Generated Output', AppState.outputNotes);
+    const includeInput = document.getElementById('midi-include-input').checked;
+    if (includeInput && AppState.inputNotes.length > 0) {
+        parts.push(...trackParts('Input', AppState.inputNotes));
+    }
+    
+    // Drums go on General MIDI channel 10; every other part takes the next free channel
+    let channel = 0;
+    parts.forEach(part => {
+        if (part.track === 'drums') {
+            part.channel = 9;
+            return;
+        }
+        if (channel === 9) channel++;
+        part.channel = channel++;
+    });
+    
+    const bytes = midiFile.write(parts, AppState.bpm);
+    downloadFile(bytes, `neural-symphony-${AppState.currentArchitecture.toLowerCase()}.mid`, 'audio/midi');
+    updateExplanation(`💾 Exported ${AppState.outputNotes.length} notes as a Standard MIDI File.`);
+}
+
+function downloadMusicXml() {
+    const parts = [
+        ...trackParts('Input', AppState.inputNotes),
+        ...trackParts('Generated Output', AppState.outputNotes)
+    ];
+    
+    if (parts.length === 0) {
+        updateExplanation('⚠️ Nothing to export yet. Generate input or run a forward pass first.');
+        return;
+    }
+    
+    // Unpitched tracks (drums) are written on a percussion staff
+    parts.forEach(part => {
+        part.percussion = !AppState.tracks[part.track].pitched;
+    });
+    
+    const divisions = parseInt(document.getElementById('musicxml-grid').value);
+    const xml = musicXmlWriter.write(parts, {
+        bpm: AppState.bpm,
+        divisions,
+        title: `Neural Symphony – ${AppState.getCurrentArch().name}`
+    });
+    
+    downloadFile(xml, `neural-symphony-${AppState.currentArchitecture.toLowerCase()}.musicxml`, 'application/vnd.recordare.musicxml+xml');
+    updateExplanation(`🎼 Exported ${parts.map(p => p.name.toLowerCase()).join(' and ')} as MusicXML.`);
+}
+
+// One export part per track present in `notes`, named after its track when there are several
+function trackParts(name, notes) {
+    const ids = Object.keys(AppState.tracks).filter(id => notes.some(note => AppState.trackId(note) === id));
+    return ids.map(id => ({
+        name: ids.length > 1 ? `${name} (${AppState.tracks[id].name})` : name,
+        notes: notes.filter(note => AppState.trackId(note) === id),
+        track: id
+    }));
+}
+
+function downloadFile(data, filename, mimeType) {
+    const blob = new Blob([data], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
 function updateExplanation(text) {
     const el = document.getElementById('explanation');
     if (el) el.textContent = text;
@@ -0,0 +1,224 @@
+// Loads extra architectures from JSON and validates them against the same layer schema
+// as AppState.architectures. Accepted files:
+//   { "key": "GRU", "name": "GRU Network", "layers": [ ... ] }
+//   { "architectures": { "GRU": { "name": ..., "layers": [ ... ] }, ... } }
+// Layers may leave out `params` (derived from the operation) and give `color` as "#rrggbb".
+// Optional fields are described next to their schema entries; a layer reference is the
+// index of an earlier layer.
+class ArchitectureLoader {
+    constructor(shapeInference, paramCounter) {
+        this.shapeInference = shapeInference;
+        this.paramCounter = paramCounter;
+        this.builtIn = Object.keys(AppState.architectures);
+
+        // Upper bounds on what a file may declare. The forward pass allocates [T, width] tensors,
+        // so sizes far beyond the built-ins (widths up to 1024) would freeze the page.
+        this.limits = { layers: 64, width: 4096, timeFactor: 8 };
+
+        this.archSchema = {
+            name: { type: 'string', required: true },
+            // How branch rows are laid out (see Engine3D.layoutBranches)
+            branchLayout: { type: 'string', required: false, pattern: /^(u|parallel)$/ },
+            layers: { type: 'array', required: true }
+        };
+
+        this.layerSchema = {
+            name: { type: 'string', required: true },
+            type: { type: 'string', required: true, pattern: /^[a-z][a-z0-9_]*$/ },
+            inputShape: { type: 'shape', required: true },
+            outputShape: { type: 'shape', required: true },
+            operation: { type: 'operation', required: true },
+            color: { type: 'color', required: true },
+            formula: { type: 'string', required: true },
+            description: { type: 'string', required: true },
+            params: { type: 'count', required: false },
+            // Named branches are laid out in rows, like the GAN's generator and discriminator
+            branch: { type: 'string', required: false },
+            // Reads another layer's output instead of the previous one's; null for an external input
+            inputFrom: { type: 'layerRef', required: false },
+            // The layer a cross-attention layer reads its keys and values from
+            memoryFrom: { type: 'layerRef', required: false },
+            // Bypass edges from an earlier layer, drawn as arcs over the layers in between
+            residualFrom: { type: 'layerRef', required: false },
+            skipFrom: { type: 'layerRef', required: false },
+            // true feeds the style and chord conditioning into the layer
+            conditioned: { type: 'boolean', required: false }
+        };
+    }
+
+    // Returns { architectures: { key: arch }, errors: [string] }; nothing is loaded if any error is found
+    load(text) {
+        let json;
+        try {
+            json = JSON.parse(text);
+        } catch (error) {
+            return { architectures: {}, errors: [`Invalid JSON: ${error.message}`] };
+        }
+
+        const entries = this.collect(json);
+        if (entries.errors.length > 0) {
+            return { architectures: {}, errors: entries.errors };
+        }
+
+        const errors = [];
+        const architectures = {};
+        entries.list.forEach(({ key, arch }) => {
+            const archErrors = this.validate(key, arch);
+            if (archErrors.length > 0) {
+                errors.push(...archErrors);
+            } else {
+                architectures[key] = this.normalize(arch);
+            }
+        });
+
+        return errors.length > 0 ? { architectures: {}, errors } : { architectures, errors };
+    }
+
+    collect(json) {
+        const list = [];
+        const errors = [];
+
+        if (!json || typeof json !== 'object' || Array.isArray(json)) {
+            errors.push('Top level must be an object');
+        } else if (json.architectures !== undefined) {
+            if (!json.architectures || typeof json.architectures !== 'object' || Array.isArray(json.architectures)) {
+                errors.push('"architectures" must be an object keyed by architecture id');
+            } else {
+                Object.entries(json.architectures).forEach(([key, arch]) => list.push({ key, arch }));
+            }
+        } else if (typeof json.key === 'string') {
+            list.push({ key: json.key, arch: json });
+        } else {
+            errors.push('Expected either an "architectures" object or a single architecture with a "key"');
+        }
+
+        if (errors.length === 0 && list.length === 0) {
+            errors.push('File contains no architectures');
+        }
+        return { list, errors };
+    }
+
+    validate(key, arch) {
+        const errors = [];
+        const where = `Architecture "${key}"`;
+
+        if (!/^[A-Za-z][\w-]*$/.test(key)) {
+            errors.push(`${where}: id must start with a letter and use only letters, digits, "_" or "-"`);
+        }
+        if (this.builtIn.includes(key)) {
+            errors.push(`${where}: id clashes with a built-in architecture`);
+        }
+        if (!arch || typeof arch !== 'object' || Array.isArray(arch)) {
+            return [...errors, `${where}: must be an object`];
+        }
+
+        this.checkFields(arch, this.archSchema, where, errors, null, ['key']);
+        if (!Array.isArray(arch.layers)) return errors;
+        if (arch.layers.length === 0) {
+            errors.push(`${where}: needs at least one layer`);
+        }
+        if (arch.layers.length > this.limits.layers) {
+            return [...errors, `${where}: has ${arch.layers.length} layers, more than the limit of ${this.limits.layers}`];
+        }
+
+        arch.layers.forEach((layer, index) => {
+            const name = layer && typeof layer.name === 'string' ? ` "${layer.name}"` : '';
+            const layerWhere = `${where}, layer ${index + 1}${name}`;
+            if (!layer || typeof layer !== 'object' || Array.isArray(layer)) {
+                errors.push(`${layerWhere}: must be an object`);
+                return;
+            }
+            this.checkFields(layer, this.layerSchema, layerWhere, errors, index);
+        });
+
+        return errors;
+    }
+
+    checkFields(obj, schema, where, errors, index, allowed = []) {
+        Object.entries(schema).forEach(([field, rule]) => {
+            const value = obj[field];
+            if (value === undefined) {
+                if (rule.required) errors.push(`${where}: missing "${field}"`);
+                return;
+            }
+
+            const problem = this.checkValue(value, rule, index);
+            if (problem) errors.push(`${where}: "${field}" ${problem}`);
+        });
+
+        Object.keys(obj).forEach(field => {
+            if (!(field in schema) && !allowed.includes(field)) {
+                errors.push(`${where}: unknown field "${field}"`);
+            }
+        });
+    }
+
+    // Returns a description of what is wrong with the value, or null
+    checkValue(value, rule, index) {
+        switch (rule.type) {
+            case 'string':
+                if (typeof value !== 'string' || value.trim() === '') return 'must be a non-empty string';
+                if (rule.pattern && !rule.pattern.test(value)) return `must match ${rule.pattern}`;
+                return null;
+            case 'array':
+                return Array.isArray(value) ? null : 'must be an array';
+            case 'shape': {
+                if (typeof value !== 'string') return 'must be a string such as "[T, 88]"';
+                const parsed = this.shapeInference.parse(value);
+                if (parsed.error) return parsed.error;
+                const tooLarge = parsed.dims.find(dim => dim.symbol
+                    ? dim.factor > this.limits.timeFactor
+                    : dim.factor > this.limits.width);
+                if (tooLarge) {
+                    const limit = tooLarge.symbol ? `${this.limits.timeFactor}T` : this.limits.width;
+                    return `dimension "${tooLarge.text}" is above the limit of ${limit}`;
+                }
+                return null;
+            }
+            case 'operation': {
+                if (typeof value !== 'string' || value.trim() === '') return 'must be a non-empty string';
+                // Sizes in the spec (units, filters, FFN width, ...) become tensor widths too
+                const size = (value.match(/\d+/g) || []).map(Number).find(n => n > this.limits.width);
+                return size ? `size ${size} is above the limit of ${this.limits.width}` : null;
+            }
+            case 'color':
+                return this.parseColor(value) === null ? 'must be a number or "#rrggbb"' : null;
+            case 'count':
+                return Number.isInteger(value) && value >= 0 ? null : 'must be a non-negative integer';
+            case 'boolean':
+                return typeof value === 'boolean' ? null : 'must be true or false';
+            case 'layerRef':
+                if (value === null) return null;
+                return Number.isInteger(value) && value >= 0 && value < index
+                    ? null : 'must be null or the index of an earlier layer';
+            default:
+                return null;
+        }
+    }
+
+    parseColor(value) {
+        if (Number.isInteger(value) && value >= 0 && value <= 0xffffff) return value;
+        if (typeof value === 'string') {
+            const m = value.trim().match(/^(?:#|0x)([0-9a-f]{6})$/i);
+            if (m) return parseInt(m[1], 16);
+        }
+        return null;
+    }
+
+    // Fill in colors and missing parameter counts so the rest of the app sees the built-in shape
+    normalize(arch) {
+        const layers = arch.layers.map(layer => ({
+            ...layer,
+            color: this.parseColor(layer.color)
+        }));
+
+        const derived = this.paramCounter.count({ layers }, this.shapeInference.check({ layers }, 32));
+        layers.forEach((layer, index) => {
+            if (layer.params === undefined) {
+                layer.params = derived.layers[index].total;
+            }
+        });
+
+        return { name: arch.name, branchLayout: arch.branchLayout, custom: true, layers };
+    }
+}
@@ -1,24 +1,79 @@
 class AudioPlayer {
     constructor() {
-        this.synth = new Tone.PolySynth(Tone.Synth, {
-            oscillator: {
-                type: 'triangle'
-            },
-            envelope: {
-                attack: 0.005,
-                decay: 0.1,
-                sustain: 0.3,
-                release: 0.5
-            }
-        }).toDestination();
-        
         // Add effects
         this.reverb = new Tone.Reverb({
             decay: 2,
             wet: 0.3
         }).toDestination();
         
-        this.synth.connect(this.reverb);
+        // One voice per track in AppState.tracks, created the first time the track plays
+        this.voiceOptions = {
+            melody: {
+                voice: Tone.Synth,
+                volume: 0,
+                options: {
+                    oscillator: { type: 'triangle' },
+                    envelope: { attack: 0.005, decay: 0.1, sustain: 0.3, release: 0.5 }
+                }
+            },
+            chords: {
+                voice: Tone.Synth,
+                volume: -8,
+                options: {
+                    oscillator: { type: 'sine' },
+                    envelope: { attack: 0.03, decay: 0.3, sustain: 0.6, release: 0.8 }
+                }
+            },
+            bass: {
+                voice: Tone.Synth,
+                volume: -6,
+                options: {
+                    oscillator: { type: 'square' },
+                    envelope: { attack: 0.01, decay: 0.2, sustain: 0.4, release: 0.2 }
+                }
+            },
+            drums: {
+                voice: Tone.MembraneSynth,
+                volume: -4,
+                options: {
+                    pitchDecay: 0.02,
+                    octaves: 4,
+                    envelope: { attack: 0.001, decay: 0.2, sustain: 0, release: 0.1 }
+                }
+            }
+        };
+        
+        // Drum notes are General MIDI percussion keys, each naming a kit piece rather than a pitch.
+        // The pieces in drumPieces are noise bursts through a highpass filter (`highpass` in Hz);
+        // kicks, toms and the rest play voiceOptions.drums at their note.
+        this.drumKit = {
+            snare: {
+                volume: -10,
+                highpass: 1200,
+                options: { noise: { type: 'white' }, envelope: { attack: 0.001, decay: 0.15, sustain: 0, release: 0.05 } }
+            },
+            closedHat: {
+                volume: -16,
+                highpass: 7000,
+                options: { noise: { type: 'white' }, envelope: { attack: 0.001, decay: 0.05, sustain: 0, release: 0.02 } }
+            },
+            openHat: {
+                volume: -16,
+                highpass: 7000,
+                options: { noise: { type: 'white' }, envelope: { attack: 0.001, decay: 0.35, sustain: 0, release: 0.1 } }
+            },
+            cymbal: {
+                volume: -18,
+                highpass: 5000,
+                options: { noise: { type: 'white' }, envelope: { attack: 0.001, decay: 1.2, sustain: 0, release: 0.3 } }
+            }
+        };
+        this.drumPieces = {
+            37: 'snare', 38: 'snare', 39: 'snare', 40: 'snare',   // side stick, snares, hand clap
+            42: 'closedHat', 44: 'closedHat', 46: 'openHat',      // closed, pedal and open hi-hat
+            49: 'cymbal', 51: 'cymbal', 52: 'cymbal', 53: 'cymbal', 55: 'cymbal', 57: 'cymbal', 59: 'cymbal'
+        };
+        this.voices = {};
         
         this.isPlaying = false;
         this.currentPart = null;
@@ -33,9 +88,10 @@ class AudioPlayer {
         await Tone.start();
         this.stop(); // Stop any current playback
         
-        // Create a new Part for scheduling
+        // Create a new Part for scheduling; mute and solo are checked as each note comes up
         this.currentPart = new Tone.Part((time, note) => {
-            this.synth.triggerAttackRelease(
+            if (!this.isAudible(note.track)) return;
+            this.voice(note.track).triggerAttackRelease(
                 this.midiToNote(note.pitch),
                 note.duration,
                 time,
@@ -45,19 +101,31 @@ class AudioPlayer {
             time: note.time,
             pitch: note.pitch,
             duration: note.duration,
-            velocity: note.velocity
+            velocity: note.velocity,
+            track: AppState.trackId(note)
         }))).start(0);
         
         Tone.Transport.start();
         this.isPlaying = true;
         
         // Auto-stop after sequence
-        const duration = notes[notes.length - 1].time + notes[notes.length - 1].duration;
+        const duration = Math.max(...notes.map(note => note.time + note.duration));
         setTimeout(() => {
             this.stop();
         }, duration * 1000 + 500);
     }
     
+    // Plays several note lists one after the other, `gap` seconds apart
+    playInSequence(sequences, gap = 1) {
+        const notes = [];
+        let offset = 0;
+        sequences.filter(sequence => sequence && sequence.length > 0).forEach(sequence => {
+            sequence.forEach(note => notes.push({ ...note, time: note.time + offset }));
+            offset += Math.max(...sequence.map(note => note.time + note.duration)) + gap;
+        });
+        return this.play(notes);
+    }
+    
     stop() {
         if (this.currentPart) {
             this.currentPart.stop();
@@ -66,10 +134,63 @@ class AudioPlayer {
         }
         Tone.Transport.stop();
         Tone.Transport.cancel();
-        this.synth.releaseAll();
+        Object.values(this.voices).forEach(voice => voice.releaseAll());
         this.isPlaying = false;
     }
     
+    voice(trackId) {
+        if (!this.voices[trackId]) {
+            this.voices[trackId] = trackId === 'drums' ? this.createDrumKit() : this.createVoice(this.voiceOptions[trackId]);
+        }
+        return this.voices[trackId];
+    }
+    
+    createVoice({ voice, volume, options }) {
+        const synth = new Tone.PolySynth(voice, options).toDestination();
+        synth.volume.value = volume;
+        synth.connect(this.reverb);
+        return synth;
+    }
+    
+    // Plays each drum note on its kit piece; answers play() and stop() like a PolySynth
+    createDrumKit() {
+        const membrane = this.createVoice(this.voiceOptions.drums);
+        const pieces = {};
+        Object.entries(this.drumKit).forEach(([id, { volume, highpass, options }]) => {
+            const filter = new Tone.Filter(highpass, 'highpass').toDestination();
+            filter.connect(this.reverb);
+            const synth = new Tone.NoiseSynth(options).connect(filter);
+            synth.volume.value = volume;
+            pieces[id] = synth;
+        });
+        
+        return {
+            triggerAttackRelease: (note, duration, time, velocity) => {
+                const piece = pieces[this.drumPieces[Tone.Frequency(note).toMidi()]];
+                if (piece) piece.triggerAttackRelease(duration, time, velocity);
+                else membrane.triggerAttackRelease(note, duration, time, velocity);
+            },
+            releaseAll: () => {
+                Object.values(pieces).forEach(piece => piece.triggerRelease());
+                membrane.releaseAll();
+            }
+        };
+    }
+    
+    // With any track soloed only soloed tracks sound; otherwise every track that isn't muted
+    isAudible(trackId) {
+        const tracks = AppState.tracks;
+        const soloing = Object.values(tracks).some(track => track.solo);
+        return soloing ? tracks[trackId].solo : !tracks[trackId].muted;
+    }
+    
+    // Silence notes still ringing on tracks a mute or solo change has just turned off
+    updateTracks() {
+        Object.entries(this.voices).forEach(([trackId, voice]) => {
+            if (!this.isAudible(trackId)) voice.releaseAll();
+        });
+    }
+    
     midiToNote(midi) {
         const notes = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
         const octave = Math.floor(midi / 12) - 1;
@@ -0,0 +1,165 @@
+// Split-screen comparison: a second architecture with its own Engine3D (#compare-canvas-3d),
+// DataGenerator and output roll (#compare-output-canvas). It runs on the same input as the main
+// pass and follows the main step counter, mapped onto its own layers so both finish together.
+class ComparisonView {
+    constructor(canvasId, outputCanvas, visualizer) {
+        this.canvasId = canvasId;
+        this.outputCanvas = outputCanvas;
+        this.outputCtx = outputCanvas.getContext('2d');
+        this.visualizer = visualizer;
+
+        this.architecture = null;   // key in AppState.architectures; null = comparison off
+        this.engine = null;         // created when the pane is first shown, so it has a size
+        this.dataGenerator = new DataGenerator();
+        this.layerOutputs = [];
+        this.outputNotes = [];
+        this.revealed = false;      // the output appears once the main pass has produced its own
+        this.timer = null;          // background run: layers, then generation or sampling
+
+        window.addEventListener('resize', () => {
+            if (!this.isActive()) return;
+            this.setupCanvas();
+            this.drawOutput();
+        });
+    }
+
+    isActive() {
+        return this.architecture !== null;
+    }
+
+    getArch() {
+        return AppState.architectures[this.architecture];
+    }
+
+    setupCanvas() {
+        this.outputCanvas.width = this.outputCanvas.offsetWidth * window.devicePixelRatio;
+        this.outputCanvas.height = this.outputCanvas.offsetHeight * window.devicePixelRatio;
+        this.outputCtx.scale(window.devicePixelRatio, window.devicePixelRatio);
+    }
+
+    // Call once the comparison pane is visible; null turns the comparison off
+    setArchitecture(key) {
+        this.reset();
+        this.architecture = key;
+        this.dataGenerator.architecture = key;
+        if (!key) return;
+
+        if (!this.engine) {
+            this.engine = new Engine3D(this.canvasId);
+        }
+        this.engine.resize();
+        this.engine.buildNetwork(key);
+        this.setupCanvas();
+        this.drawOutput();
+    }
+
+    reset() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.layerOutputs = [];
+        this.outputNotes = [];
+        this.revealed = false;
+        this.dataGenerator.pass = null;
+        this.drawOutput();
+    }
+
+    // ---------- Forward pass ----------
+
+    // Runs every layer on the main pass's input, one layer per tick so the page stays responsive.
+    // A sequence model then generates its frames and a diffusion model takes its denoising steps
+    // in the background too, one per tick, like the main view does.
+    run(inputData) {
+        this.reset();
+        if (!this.isActive()) return;
+
+        const layers = this.getArch().layers;
+        let currentData = inputData;
+        const tick = () => {
+            this.timer = null;
+            const layerOutput = this.dataGenerator.processLayer(this.layerOutputs.length, currentData);
+            this.layerOutputs.push(layerOutput);
+            currentData = layerOutput.data;
+            if (this.layerOutputs.length < layers.length) {
+                this.timer = setTimeout(tick, 0);
+                return;
+            }
+            this.engine.updateAttentionLinks(this.layerOutputs);
+
+            const { generation, sampled } = this.dataGenerator.pass;
+            if (generation) {
+                this.generate(generation);
+            } else if (sampled) {
+                this.sample(sampled);
+            } else {
+                this.outputNotes = this.dataGenerator.generateOutput(currentData);
+                this.drawOutput();
+            }
+        };
+        this.timer = setTimeout(tick, 0);
+    }
+
+    generate(gen) {
+        const tick = () => {
+            this.timer = null;
+            this.dataGenerator.generateStep(gen);
+            this.outputNotes = this.dataGenerator.generateOutput();
+            this.drawOutput();
+            if (gen.tokens.length < gen.length) {
+                this.timer = setTimeout(tick, 50);
+            }
+        };
+        this.timer = setTimeout(tick, 0);
+    }
+
+    // The output only appears once x₀ has been sampled
+    sample(trajectory) {
+        const tick = () => {
+            this.timer = null;
+            this.dataGenerator.sampleStep(trajectory);
+            if (this.dataGenerator.isSampled(trajectory)) {
+                this.outputNotes = this.dataGenerator.generateOutput();
+                this.drawOutput();
+            } else {
+                this.timer = setTimeout(tick, 0);
+            }
+        };
+        this.timer = setTimeout(tick, 0);
+    }
+
+    // ---------- Step sync ----------
+
+    // Main step `step` of `total` as one of this architecture's layers
+    mapStep(step, total) {
+        const layers = this.getArch().layers.length;
+        return total > 1 ? Math.round(step * (layers - 1) / (total - 1)) : 0;
+    }
+
+    showStep(step, total) {
+        if (!this.isActive()) return;
+        this.engine.highlightLayer(this.mapStep(step, total));
+    }
+
+    // Particles for the main step → step + 1, over however many layers that spans here
+    animateStep(step, total) {
+        if (!this.isActive() || this.layerOutputs.length === 0) return;
+        const from = this.mapStep(step, total);
+        const to = this.mapStep(step + 1, total);
+        if (to > from) {
+            this.engine.animateDataFlow(from, to);
+        }
+    }
+
+    // ---------- Output ----------
+
+    reveal() {
+        this.revealed = true;
+        this.drawOutput();
+    }
+
+    drawOutput() {
+        if (!this.isActive()) return;
+        const notes = this.revealed ? this.outputNotes : [];
+        this.visualizer.drawPianoRoll(this.outputCtx, this.outputCanvas, notes, '');
+        document.getElementById('compare-output-notes').textContent = `${notes.length} notes`;
+    }
+}
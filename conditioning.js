@@ -0,0 +1,156 @@
+// Conditioning for generation: a style / mood (AppState.style) and a target chord progression
+// (AppState.progression, one chord per bar, looping). Both reach the network as one vector c,
+// projected into every layer flagged `conditioned` (see DataGenerator.applyConditioning), and
+// both bias sampling through per-key weights at each frame. AppState.conditionStrength (0-1)
+// scales all of it; with no style and no progression nothing changes.
+class Conditioning {
+    constructor(keyDetector) {
+        this.keyDetector = keyDetector;
+
+        // `register` is the pitch the style gravitates to and `spread` how far it strays (semitones);
+        // `rest` is the share of silent grid events, `sustain` the exponent that shortens notes
+        // (higher is shorter) and `velocity` the loudness range of the latent model's output
+        this.styles = {
+            none: { name: 'None' },
+            calm: { name: 'Calm', register: 60, spread: 7, rest: 0.3, sustain: 1, velocity: [0.4, 0.65] },
+            happy: { name: 'Happy', register: 67, spread: 9, rest: 0.15, sustain: 2, velocity: [0.65, 0.9] },
+            melancholic: { name: 'Melancholic', register: 57, spread: 7, rest: 0.25, sustain: 1, velocity: [0.45, 0.7] },
+            tense: { name: 'Tense', register: 62, spread: 12, rest: 0.1, sustain: 2.5, velocity: [0.7, 1.0] },
+            energetic: { name: 'Energetic', register: 65, spread: 12, rest: 0.05, sustain: 3, velocity: [0.8, 1.0] }
+        };
+
+        // Presets for the progression box; numerals are read in the output key
+        this.progressions = [
+            { label: 'I–V–vi–IV', text: 'I V vi IV' },
+            { label: 'ii–V–I', text: 'ii V I I' },
+            { label: 'I–vi–IV–V', text: 'I vi IV V' },
+            { label: 'i–VI–III–VII', text: 'i VI III VII' },
+            { label: '12-bar blues', text: 'I7 IV7 I7 I7 IV7 IV7 I7 I7 V7 IV7 I7 V7' }
+        ];
+
+        this.qualities = {
+            '': [0, 4, 7],
+            m: [0, 3, 7],
+            dim: [0, 3, 6],
+            aug: [0, 4, 8],
+            sus4: [0, 5, 7],
+            '7': [0, 4, 7, 10],
+            maj7: [0, 4, 7, 11],
+            m7: [0, 3, 7, 10]
+        };
+        this.numerals = ['I', 'II', 'III', 'IV', 'V', 'VI', 'VII'];
+    }
+
+    isActive() {
+        return AppState.isConditioned();
+    }
+
+    // Reads chord symbols ("C G Am F7") and roman numerals ("I V vi IV", "bVII", "ii°") separated
+    // by spaces, commas, bars or dashes. Numerals count degrees of the scale's mode (of major for
+    // pentatonic scales); lower case is minor. Returns { chords: [{ symbol, tones }], unknown }
+    // with tones the chord's pitch classes and unknown the tokens that could not be read.
+    parse(text, scale) {
+        const chords = [];
+        const unknown = [];
+        text.split(/[\s,|–—-]+/).filter(Boolean).forEach(token => {
+            const chord = this.parseSymbol(token) || this.parseNumeral(token, scale);
+            if (chord) chords.push(chord);
+            else unknown.push(token);
+        });
+        return { chords, unknown };
+    }
+
+    parseSymbol(token) {
+        const m = token.match(/^([A-G])([#b]?)(maj7|m7|m|dim|°|aug|\+|sus4|7)?$/);
+        if (!m) return null;
+        const accidental = m[2] === '#' ? 1 : m[2] === 'b' ? -1 : 0;
+        const root = (this.keyDetector.noteNames.indexOf(m[1]) + accidental + 12) % 12;
+        return this.chord(root, this.quality(m[3] || ''));
+    }
+
+    parseNumeral(token, scale) {
+        const m = token.match(/^([b#]?)(VII|VI|V|IV|III|II|I|vii|vi|v|iv|iii|ii|i)(maj7|7|dim|°|aug|\+|sus4)?$/);
+        if (!m) return null;
+        const minor = m[2] === m[2].toLowerCase();
+        const degree = this.numerals.indexOf(m[2].toUpperCase());
+        const modeSteps = this.keyDetector.scales[scale.mode].steps;
+        const steps = modeSteps.length === 7 ? modeSteps : this.keyDetector.scales.major.steps;
+        const accidental = m[1] === '#' ? 1 : m[1] === 'b' ? -1 : 0;
+        const root = (scale.root + steps[degree] + accidental + 12) % 12;
+
+        let suffix = this.quality(m[3] || '');
+        if (minor && suffix === '') suffix = 'm';
+        if (minor && suffix === '7') suffix = 'm7';
+        return this.chord(root, suffix);
+    }
+
+    quality(text) {
+        return { '°': 'dim', '+': 'aug' }[text] ?? text;
+    }
+
+    chord(root, suffix) {
+        return {
+            symbol: this.keyDetector.noteNames[root] + suffix,
+            tones: this.qualities[suffix].map(step => (root + step) % 12)
+        };
+    }
+
+    // The progression in the given key, or [] when there is none
+    chords(scale) {
+        return this.parse(AppState.progression, scale).chords;
+    }
+
+    // Chord of the bar `time` (seconds) falls in, the progression repeating; null without one
+    chordAt(time, chords, bpm = AppState.bpm) {
+        if (chords.length === 0) return null;
+        const bar = Math.floor(time / (4 * 60 / bpm) + 1e-6);
+        return chords[bar % chords.length];
+    }
+
+    style() {
+        return this.styles[AppState.style] || this.styles.none;
+    }
+
+    // c = [one-hot style (without 'none'), share of bars each pitch class is a chord tone in]
+    // × strength, the vector the network's conditioned layers receive
+    vector(scale) {
+        const styles = Object.keys(this.styles).filter(id => id !== 'none');
+        const c = new Float32Array(styles.length + 12);
+        const index = styles.indexOf(AppState.style);
+        if (index >= 0) c[index] = 1;
+
+        const chords = this.chords(scale);
+        chords.forEach(chord => chord.tones.forEach(pc => {
+            c[styles.length + pc] += 1 / chords.length;
+        }));
+        return c.map(x => x * AppState.conditionStrength);
+    }
+
+    // Factor per piano key at `time`, all in [0, 1]: keys outside the bar's chord lose up to 80%,
+    // keys far from the style's register fade out as the strength rises
+    weights(time, scale, minPitch, numKeys, chords = this.chords(scale)) {
+        const strength = AppState.conditionStrength;
+        const chord = this.chordAt(time, chords);
+        const style = this.style();
+        const weights = new Float32Array(numKeys).fill(1);
+
+        for (let k = 0; k < numKeys; k++) {
+            const pitch = minPitch + k;
+            if (chord && !chord.tones.includes(pitch % 12)) weights[k] *= 1 - 0.8 * strength;
+            if (style.register !== undefined) {
+                const distance = (pitch - style.register) / style.spread;
+                weights[k] *= 1 - strength + strength * Math.exp(-0.5 * distance * distance);
+            }
+        }
+        return weights;
+    }
+
+    // e.g. "Calm · C G Am F" for the info line
+    describe(scale) {
+        const parts = [];
+        if (AppState.style !== 'none') parts.push(this.style().name);
+        const chords = this.chords(scale);
+        if (chords.length > 0) parts.push(chords.map(chord => chord.symbol).join(' '));
+        return parts.join(' · ');
+    }
+}
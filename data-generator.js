@@ -1,239 +1,898 @@
 class DataGenerator {
     constructor() {
         this.noteNames = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+        this.ops = new TensorOps();
+        this.keyDetector = new KeyDetector();
+        this.inputGenerators = new InputGeneratorRegistry();
+        this.rhythm = new RhythmGrid();
+        this.conditioning = new Conditioning(this.keyDetector);
+        
+        // Token confidence (probability × 88) below which a frame rests or ties (see tokensToNotes)
+        this.restConfidence = 0.9;
+        this.tieConfidence = 1;
+        
+        // Key in AppState.architectures to run; null follows the selected architecture
+        this.architecture = null;
+        
+        // Intermediate tensors of the current forward pass (roll, xₜ, tₑ, ...)
+        this.pass = null;
+        
+        // Linear β schedule shared by forward noising and reverse sampling
+        this.scheduleLength = 1000;
+        this.alphaBars = null;
     }
     
-    generateInput(type) {
-        switch(type) {
-            case 'random':
-                return this.generateRandom();
-            case 'scale':
-                return this.generateScale();
-            case 'chord':
-                return this.generateChords();
-            default:
-                return this.generateRandom();
-        }
+    // `type` is an id in the InputGeneratorRegistry; `params` override its defaults. The notes
+    // are snapped to the rhythm grid at the generator's tempo.
+    generateInput(type, params = {}) {
+        const { tempo } = { ...this.inputGenerators.defaults(type), ...params };
+        return this.rhythm.quantize(this.inputGenerators.generate(type, params), tempo || AppState.bpm);
     }
     
-    generateRandom() {
-        const notes = [];
-        const length = 32;
-        const baseNote = 60;
+    processLayer(layerIndex, inputData) {
+        const arch = this.getArch();
+        const layer = arch.layers[layerIndex];
+        const key = this.layerKey(layerIndex, layer);
         
-        for (let i = 0; i < length; i++) {
-            const pitch = baseNote + Math.floor(Math.random() * 25) - 12;
-            notes.push({
-                pitch: Math.max(36, Math.min(96, pitch)),
-                time: i * 0.25,
-                duration: 0.25,
-                velocity: Math.random() * 0.4 + 0.6
-            });
+        // A forward pass starts from the note list; everything after is a tensor
+        if (layerIndex === 0 || !this.pass) {
+            this.pass = {
+                roll: this.ops.pianoRoll(this.toNotes(inputData)),
+                random: AppState.createRandom('forward'),
+                outputs: []
+            };
         }
         
-        return notes;
-    }
-    
-    generateScale() {
-        const notes = [];
-        const scale = [60, 62, 64, 65, 67, 69, 71, 72]; // C major
+        // Layers may read from an earlier layer instead of the previous one
+        const source = layer.inputFrom != null ? this.pass.outputs[layer.inputFrom] : inputData;
+        let x = this.toTensor(source);
         
-        // Ascending
-        scale.forEach((pitch, i) => {
-            notes.push({
-                pitch: pitch,
-                time: i * 0.25,
-                duration: 0.25,
-                velocity: 0.8
-            });
-        });
+        // The decoder's input is its own output shifted right, so decode the whole sequence first
+        if (layer.type === 'target') {
+            this.pass.decoded = this.decode(layerIndex);
+            x = this.pass.decoded.target;
+        }
         
-        // Descending
-        [...scale].reverse().forEach((pitch, i) => {
-            notes.push({
-                pitch: pitch,
-                time: (scale.length + i) * 0.25,
-                duration: 0.25,
-                velocity: 0.8
-            });
-        });
+        let { outputData, details } = this.applyLayer(layer, key, x);
+        if (layer.type === 'output' && this.pass.decoded) {
+            details = { tokens: this.pass.decoded.tokens };
+        }
         
-        return notes;
-    }
-    
-    generateChords() {
-        const notes = [];
-        const chords = [
-            [60, 64, 67],      // C major
-            [65, 69, 72],      // F major
-            [67, 71, 74],      // G major
-            [60, 64, 67]       // C major
-        ];
-        
-        chords.forEach((chord, chordIdx) => {
-            chord.forEach(pitch => {
-                notes.push({
-                    pitch: pitch,
-                    time: chordIdx * 1.0,
-                    duration: 1.0,
-                    velocity: 0.75
-                });
-            });
-        });
+        // Sequence models generate frame by frame afterwards (see generateStep)
+        if (layer.type === 'output' && this.isAutoregressive()) {
+            this.pass.generation = this.startGeneration();
+            details = { generation: this.pass.generation };
+        }
         
-        return notes;
+        // A diffusion model generates by denoising pure noise, not by a single pass over xₜ;
+        // the steps are taken afterwards too (see sampleStep)
+        if (layer.type === 'output' && this.pass.noisy) {
+            this.pass.sampled = this.startSampling(AppState.diffusionSteps);
+            details = { trajectory: this.pass.sampled };
+        }
+        
+        const tensor = outputData.z || outputData;
+        this.pass.outputs[layerIndex] = outputData;
+        
+        return {
+            layer: layer.name,
+            type: layer.type,
+            data: outputData,
+            shape: tensor.shape,
+            details,
+            activation: this.generateActivationMap(tensor)
+        };
     }
     
-    processLayer(layerIndex, inputData) {
-        const arch = AppState.getCurrentArch();
-        const layer = arch.layers[layerIndex];
-        
-        // Simulate layer processing with realistic transformations
+    // Runs one layer on x; returns { outputData, details }
+    applyLayer(layer, key, x) {
         let outputData;
+        let details = null;
         
         switch(layer.type) {
             case 'input':
-                outputData = inputData;
+                outputData = this.applyInput(layer, key);
                 break;
             case 'conv':
             case 'deconv':
-                outputData = this.applyConvolution(inputData, layerIndex);
+                outputData = this.applyConvolution(x, layer, key);
+                break;
+            case 'embedding':
+            case 'dense':
+                outputData = this.applyDense(x, layer, key);
                 break;
-            case 'lstm':
-                outputData = this.applyLSTM(inputData);
+            case 'lstm': {
+                const result = this.applyLSTM(x, layer, key);
+                outputData = result.output;
+                details = { hidden: result.hidden, cell: result.cell };
                 break;
+            }
             case 'latent':
-                outputData = this.applyLatentSampling(inputData);
+                outputData = this.applyLatentSampling(x, key);
+                break;
+            case 'positional':
+                outputData = this.applyPositionalEncoding(x);
                 break;
-            case 'attention':
-                outputData = this.applyAttention(inputData);
+            case 'attention': {
+                const result = this.applyAttention(x, layer, key);
+                outputData = result.output;
+                details = { attention: result.weights };
+                break;
+            }
+            case 'cross': {
+                const result = this.applyCrossAttention(x, layer, key);
+                outputData = result.output;
+                details = { attention: result.weights, cross: true };
+                break;
+            }
+            case 'addnorm':
+                outputData = this.applyAddNorm(x, layer);
+                break;
+            case 'target':
+                outputData = this.ops.dense(x, key, this.getWidth(layer));
+                break;
+            case 'ffn':
+                outputData = this.applyFeedForward(x, layer, key);
                 break;
             case 'time':
-                outputData = this.applyTimeEmbedding();
+                outputData = this.applyTimeEmbedding(layer);
+                break;
+            case 'down':
+                outputData = this.applyDownsampling(x, layer, key);
+                break;
+            case 'bottleneck':
+                outputData = this.applyBottleneck(x, layer, key);
+                break;
+            case 'up':
+                outputData = this.applyUpsampling(x, layer, key);
+                break;
+            case 'predict':
+                outputData = this.applyNoisePrediction(x, layer, key);
+                break;
+            case 'noise':
+                outputData = this.applyNoiseSampling(layer);
+                break;
+            case 'project':
+                outputData = this.applyProjection(x, layer, key);
+                break;
+            case 'pair': {
+                const result = this.applyPair(x);
+                outputData = result.fake;
+                details = { real: result.real, fake: result.fake };
+                break;
+            }
+            case 'critic': {
+                const result = this.applyCritic(layer, key);
+                outputData = result.fake;
+                details = { real: result.real, fake: result.fake };
+                break;
+            }
+            case 'score': {
+                const result = this.applyScore(layer, key);
+                outputData = result.fake;
+                details = { scores: { real: result.real.data[0], fake: result.fake.data[0] } };
+                break;
+            }
+            case 'output':
+                outputData = this.applyOutput(x, layer, key);
                 break;
             default:
-                outputData = this.applyGenericTransform(inputData, layerIndex);
+                outputData = this.applyGenericTransform(x, layer, key);
         }
         
-        return {
-            layer: layer.name,
-            type: layer.type,
-            data: outputData,
-            activation: this.generateActivationMap(layerIndex)
-        };
+        if (layer.conditioned && this.conditioning.isActive()) {
+            outputData = this.applyConditioning(outputData, key);
+        }
+        
+        return { outputData, details };
+    }
+    
+    getArch() {
+        return AppState.architectures[this.architecture || AppState.currentArchitecture];
+    }
+    
+    layerKey(layerIndex, layer) {
+        return `${this.architecture || AppState.currentArchitecture}/${layerIndex}/${layer.name}`;
+    }
+    
+    toNotes(data) {
+        return Array.isArray(data) ? data : (AppState.inputNotes || []);
     }
     
-    applyConvolution(data, layerIndex) {
-        // Simulate convolution
-        return data.map(note => ({
-            ...note,
-            features: Array(32).fill(0).map(() => Math.random())
-        }));
+    toTensor(data) {
+        if (data && data.z) return data.z;
+        if (data && data.shape) return data;
+        return this.pass.roll;
     }
     
-    applyLSTM(data) {
-        // Simulate LSTM processing
-        return data.map(note => ({
-            ...note,
-            hidden: Math.random(),
-            cell: Math.random()
-        }));
+    // Last dimension of a declared shape such as "[T, 256]" or "[128]"
+    getWidth(layer) {
+        const dims = layer.outputShape.match(/\d+/g);
+        return dims ? parseInt(dims[dims.length - 1]) : this.ops.numKeys;
     }
     
-    applyLatentSampling(data) {
-        // Sample from latent distribution
+    getKernel(layer) {
+        const match = layer.operation.match(/kernel=(\d+)/);
+        return match ? parseInt(match[1]) : 3;
+    }
+    
+    getStride(layer) {
+        const match = layer.operation.match(/stride=(\d+)/);
+        return match ? parseInt(match[1]) : 1;
+    }
+    
+    // Frames in the declared output ("[T/2, 256]" -> ceil(T/2)) for the current input
+    getLength(layer) {
+        const T = this.ops.rows(this.pass.roll);
+        const match = layer.outputShape.match(/^\[\s*T(?:\s*\/\s*(\d+))?\s*,/);
+        return match ? Math.ceil(T / parseInt(match[1] || '1')) : T;
+    }
+    
+    getActivation(layer, fallback = null) {
+        if (/Sigmoid/i.test(layer.operation)) return 'sigmoid';
+        if (/Softmax/i.test(layer.operation)) return 'softmax';
+        if (/ReLU/.test(layer.formula)) return 'relu';
+        return fallback;
+    }
+    
+    applyInput(layer, key) {
+        const roll = this.pass.roll;
+        
+        if (/AddNoise/.test(layer.operation)) {
+            return this.applyForwardDiffusion(roll);
+        }
+        
+        // Embedding-style input layers project the roll to a wider space
+        const width = this.getWidth(layer);
+        if (width !== this.ops.numKeys) {
+            return this.ops.dense(roll, key, width);
+        }
+        
+        return roll;
+    }
+    
+    // ᾱₜ = ∏(1 - βₛ) for s < t, with β rising linearly from 1e-4 to 0.02
+    alphaBar(timestep) {
+        if (!this.alphaBars) {
+            const steps = this.scheduleLength;
+            this.alphaBars = new Float64Array(steps + 1);
+            this.alphaBars[0] = 1;
+            for (let t = 0; t < steps; t++) {
+                const beta = 1e-4 + (0.02 - 1e-4) * t / (steps - 1);
+                this.alphaBars[t + 1] = this.alphaBars[t] * (1 - beta);
+            }
+        }
+        return this.alphaBars[timestep];
+    }
+    
+    // xₜ = √ᾱₜ·x₀ + √(1-ᾱₜ)·ε
+    applyForwardDiffusion(roll) {
+        const timestep = this.scheduleLength / 2;
+        const alphaBar = this.alphaBar(timestep);
+        
+        const noisy = this.ops.tensor(roll.shape);
+        const a = Math.sqrt(alphaBar);
+        const s = Math.sqrt(1 - alphaBar);
+        for (let i = 0; i < noisy.data.length; i++) {
+            noisy.data[i] = a * roll.data[i] + s * this.pass.random.gaussian();
+        }
+        
+        Object.assign(this.pass, { noisy, timestep, alphaBar });
+        return noisy;
+    }
+    
+    applyConvolution(data, layer, key) {
+        const activation = this.getActivation(layer, 'relu');
+        const stride = this.getStride(layer);
+        if (layer.type === 'deconv') {
+            const length = stride > 1 ? this.getLength(layer) : null;
+            return this.ops.convTranspose1d(data, key, this.getWidth(layer), this.getKernel(layer), activation, stride, length);
+        }
+        return this.ops.conv1d(data, key, this.getWidth(layer), this.getKernel(layer), activation, stride);
+    }
+    
+    applyDense(data, layer, key) {
+        const width = this.getWidth(layer);
+        
+        // Dense(T×512) + Reshape: a separate projection of z for every frame
+        if (data.shape.length === 1 && /T×|Reshape/.test(layer.operation)) {
+            const T = this.ops.rows(this.pass.roll);
+            const out = this.ops.tensor([T, width]);
+            for (let t = 0; t < T; t++) {
+                const frame = this.ops.dense(data, `${key}/t${t}`, width, 'relu');
+                out.data.set(frame.data, t * width);
+            }
+            return out;
+        }
+        
+        return this.ops.dense(data, key, width, this.getActivation(layer));
+    }
+    
+    // While generating, each LSTM layer continues from the state its last call left behind
+    applyLSTM(data, layer, key) {
+        const match = layer.operation.match(/units=(\d+)/);
+        const units = match ? parseInt(match[1]) : this.getWidth(layer);
+        const recurrent = this.pass.recurrent;
+        const result = this.ops.lstm(data, key, units, recurrent ? recurrent[key] : null);
+        if (recurrent) recurrent[key] = { hidden: result.hidden, cell: result.cell };
+        return result;
+    }
+    
+    applyLatentSampling(data, key) {
+        // Sample from latent distribution: z = μ + σ·ε
         const latentDim = AppState.latentDim;
-        return {
-            mu: Array(latentDim).fill(0).map(() => Math.random() * 2 - 1),
-            sigma: Array(latentDim).fill(0).map(() => Math.random()),
-            z: Array(latentDim).fill(0).map(() => Math.random() * 2 - 1)
-        };
+        const pooled = this.ops.meanOverTime(data);
+        const mu = this.ops.dense(pooled, `${key}/mu`, latentDim);
+        const logVar = this.ops.dense(pooled, `${key}/logvar`, latentDim);
+        const sigma = this.ops.tensor([latentDim]);
+        const z = this.ops.tensor([latentDim]);
+        
+        for (let i = 0; i < latentDim; i++) {
+            sigma.data[i] = Math.exp(0.5 * logVar.data[i]);
+            z.data[i] = mu.data[i] + sigma.data[i] * this.pass.random.gaussian();
+        }
+        
+        return { mu, sigma, z };
     }
     
-    applyAttention(data) {
-        return data.map(note => ({
-            ...note,
-            attention: Math.random()
-        }));
+    // ---------- Autoregressive generation ----------
+    
+    // Decoder-only sequence models (LSTM, Transformer) generate by feeding each predicted frame back in
+    isAutoregressive() {
+        const layers = this.getArch().layers;
+        return layers.some(layer => layer.type === 'lstm' || layer.type === 'attention') &&
+            !layers.some(layer => layer.type === 'target');
     }
     
-    applyTimeEmbedding() {
+    // The input roll is the prompt; as many frames as it has are generated after it.
+    // Nothing is computed until the first generateStep.
+    startGeneration() {
+        const windowed = this.getArch().layers.some(layer => layer.type === 'attention');
         return {
-            timestep: Math.random(),
-            embedding: Array(256).fill(0).map(() => Math.random())
+            length: this.ops.rows(this.pass.roll),
+            context: this.pass.roll,   // prompt followed by the generated frames
+            read: 0,                   // context rows a recurrent model has already consumed
+            window: windowed ? AppState.contextWindow : null,
+            recurrent: {},             // LSTM state carried from step to step
+            random: AppState.createRandom('generate'),
+            tokens: []
         };
     }
     
-    applyGenericTransform(data, layerIndex) {
-        const temp = AppState.temperature;
+    // One step: predict the next frame from the context, sample a key and append it.
+    // An LSTM only reads the frames it has not seen yet and carries its state; attention re-reads
+    // the last `window` frames, and only the last row (which sees nothing after it) is used.
+    // Returns { token, window: [start, end], hidden, attention } for display.
+    generateStep(gen) {
+        const layers = this.getArch().layers;
+        const rows = this.ops.rows(gen.context);
+        const start = gen.window ? Math.max(0, rows - gen.window) : gen.read;
+        const input = this.ops.sliceRows(gen.context, start, rows);
+        const details = [];
+        
+        const output = this.runLayers(0, layers.length, input, { roll: input, random: gen.random, recurrent: gen.recurrent, details });
+        gen.read = rows;
+        
+        let probs = this.ops.sliceRows(output, this.ops.rows(output) - 1, this.ops.rows(output));
+        if (this.getActivation(layers[layers.length - 1]) !== 'softmax') {
+            probs = this.ops.softmaxRows(probs);
+        }
+        
+        const index = this.sampleIndex(probs.data, AppState.temperature, gen.random, this.frameWeights(gen.tokens.length));
+        const token = { frame: gen.tokens.length, pitch: this.ops.minPitch + index, probability: probs.data[index] };
+        gen.tokens.push(token);
+        
+        const frame = this.ops.tensor([1, this.ops.numKeys]);
+        frame.data[index] = 1;
+        gen.context = this.ops.concatRows(gen.context, frame);
         
-        // Check if data is an array, if not convert it
-        if (!Array.isArray(data)) {
-            // Handle different data types
-            if (data && typeof data === 'object') {
-                if (data.embedding) {
-                    // Handle embedding objects
-                    return data.embedding.map(val => ({
-                        pitch: val * 127, // Convert to MIDI range
-                        velocity: 0.8,
-                        duration: 0.5
-                    }));
-                } else if (data.timestep !== undefined) {
-                    // Handle timestep objects
-                    return Array(88).fill(0).map((_, i) => ({
-                        pitch: i + 21,
-                        velocity: data.timestep,
-                        duration: 0.5
-                    }));
+        // Hidden state of the last LSTM, or the last attention layer's weights from the newest row
+        const lastOf = type => {
+            for (let i = layers.length - 1; i >= 0; i--) {
+                if (layers[i].type === type && details[i]) return details[i];
+            }
+            return null;
+        };
+        const lstm = lastOf('lstm');
+        const attention = lastOf('attention');
+        let context = null;
+        if (attention) {
+            const S = this.ops.rows(input);
+            context = new Float32Array(S);
+            attention.attention.forEach(head => {
+                for (let j = 0; j < S; j++) context[j] += head.data[(S - 1) * S + j] / attention.attention.length;
+            });
+        }
+        
+        return { token, window: [start, rows], hidden: lstm ? lstm.hidden : null, attention: context };
+    }
+    
+    // ---------- VAE latent space ----------
+    
+    latentIndex() {
+        return this.getArch().layers.findIndex(layer => layer.type === 'latent');
+    }
+    
+    // Encoder half: notes -> posterior mean μ (the point the explorer plots)
+    encodeLatent(notes) {
+        const roll = this.ops.pianoRoll(notes);
+        const latent = this.runLayers(0, this.latentIndex() + 1, roll, { roll, random: AppState.createRandom('latent') });
+        return latent.mu;
+    }
+    
+    // Decoder half: z -> [frames, 88] roll and the notes read from it. The sigmoid outputs
+    // of these untrained weights sit close to 0.5, so notes come from the roll stretched to [0, 1].
+    decodeLatent(z, frames) {
+        const layers = this.getArch().layers;
+        const roll = this.ops.tensor([frames, this.ops.numKeys]);
+        const output = this.runLayers(this.latentIndex() + 1, layers.length, z, { roll, random: AppState.createRandom('latent') });
+        return { roll: output, notes: this.rhythm.quantize(this.sigmoidRollToNotes(output)) };
+    }
+    
+    // Notes from an untrained sigmoid roll (values bunched around 0.5), stretched to [0, 1] first
+    sigmoidRollToNotes(roll) {
+        const { min, max } = this.ops.stats(roll);
+        const stretched = this.ops.tensor(roll.shape);
+        for (let i = 0; i < roll.data.length; i++) {
+            stretched.data[i] = (roll.data[i] - min) / (max - min || 1);
+        }
+        return this.rollToNotes(stretched, 0.75, 2);
+    }
+    
+    applyPositionalEncoding(data) {
+        const pe = this.ops.positionalEncoding(this.ops.rows(data), this.ops.cols(data));
+        return this.ops.add(data, pe);
+    }
+    
+    applyAttention(data, layer, key) {
+        const match = layer.operation.match(/heads=(\d+)/);
+        const heads = match ? parseInt(match[1]) : 8;
+        return this.ops.multiHeadAttention(data, key, heads, /causal=True/i.test(layer.operation));
+    }
+    
+    // LayerNorm(x + residual), where the residual is the sublayer's input
+    applyAddNorm(data, layer) {
+        const residual = layer.residualFrom != null ? this.toTensor(this.pass.outputs[layer.residualFrom]) : null;
+        const sum = residual && residual.data.length === data.data.length ? this.ops.add(data, residual) : data;
+        return this.ops.layerNorm(sum);
+    }
+    
+    // Queries from the decoder, keys and values from the layer named by `memoryFrom`
+    applyCrossAttention(data, layer, key) {
+        const match = layer.operation.match(/heads=(\d+)/);
+        const heads = match ? parseInt(match[1]) : 8;
+        const memory = this.toTensor(this.pass.outputs[layer.memoryFrom]);
+        return this.ops.multiHeadAttention(data, key, heads, false, memory);
+    }
+    
+    // Autoregressive decoding: feed one new row per step through the decoder layers and
+    // sample one token (one key per frame) from it. Row-wise layers only see the new row;
+    // attention and positional layers need the whole prefix, so their inputs are kept.
+    decode(targetIndex) {
+        const layers = this.getArch().layers;
+        const rowWise = ['target', 'embedding', 'dense', 'ffn', 'cross', 'output'];
+        const prefixes = [];
+        const T = this.ops.rows(this.pass.roll);
+        const keys = this.ops.numKeys;
+        const target = this.ops.tensor([T, keys]); // row 0 stays empty: the start token
+        const tokens = [];
+        
+        for (let t = 0; t < T; t++) {
+            let h = this.ops.sliceRows(target, t, t + 1);
+            for (let i = targetIndex; i < layers.length; i++) {
+                const layer = layers[i];
+                const key = this.layerKey(i, layer);
+                if (rowWise.includes(layer.type)) {
+                    h = this.applyLayer(layer, key, h).outputData;
+                } else {
+                    prefixes[i] = prefixes[i] ? this.ops.concatRows(prefixes[i], h) : h;
+                    h = this.ops.sliceRows(this.applyLayer(layer, key, prefixes[i]).outputData, t, t + 1);
                 }
             }
             
-            // Fallback: create default array
-            return Array(88).fill(0).map((_, i) => ({
-                pitch: i + 21,
-                velocity: 0.5,
-                duration: 0.5
-            }));
+            const index = this.sampleIndex(h.data, AppState.temperature, this.pass.random, this.frameWeights(t));
+            tokens.push({ frame: t, pitch: this.ops.minPitch + index, probability: h.data[index] });
+            if (t + 1 < T) target.data[(t + 1) * keys + index] = 1;
+        }
+        
+        return { tokens, target };
+    }
+    
+    // ---------- Conditioning ----------
+    
+    // h + W꜀·c: the conditioning vector (style and chords, see Conditioning.vector) projected to
+    // the layer's width and added to every frame, like the time embedding in the U-Net
+    applyConditioning(data, key) {
+        const vector = this.conditioning.vector(this.getScale());
+        const c = this.ops.tensor([vector.length]);
+        c.data.set(vector);
+        return this.ops.add(data, this.ops.dense(c, `${key}/condition`, this.ops.cols(data)));
+    }
+    
+    // Sampling weights for output frame `frame`: the scale's, times the conditioning's at that time.
+    // Only relative sizes matter to sampleIndex; rollToNotes ranks by them instead of thresholding.
+    frameWeights(frame, scale = this.getScale()) {
+        const weights = this.scaleWeights(scale);
+        if (!this.conditioning.isActive()) return weights;
+        
+        const condition = this.conditioning.weights(frame * this.ops.frameDuration, scale, this.ops.minPitch, this.ops.numKeys);
+        return weights.map((w, k) => w * condition[k]);
+    }
+    
+    // ---------- Key and scale ----------
+    
+    // The scale output is drawn towards: AppState.keyRoot / scaleMode, where 'auto' takes
+    // the key detected from the input (C major when there is none)
+    getScale() {
+        const detected = this.keyDetector.detect(AppState.pitchedNotes(AppState.inputNotes || []));
+        const fallback = detected || { root: 0, mode: 'major' };
+        const root = AppState.keyRoot === 'auto' ? fallback.root : AppState.keyRoot;
+        const mode = AppState.scaleMode === 'auto' ? fallback.mode : AppState.scaleMode;
+        return {
+            root,
+            mode,
+            detected,
+            inScale: this.keyDetector.pitchClasses(root, mode),
+            strictness: AppState.scaleStrictness
+        };
+    }
+    
+    // Factor per piano key: 1 in the scale, 1 - strictness outside it
+    scaleWeights(scale = this.getScale()) {
+        const weights = new Float32Array(this.ops.numKeys);
+        for (let k = 0; k < weights.length; k++) {
+            weights[k] = scale.inScale[(this.ops.minPitch + k) % 12] ? 1 : 1 - scale.strictness;
+        }
+        return weights;
+    }
+    
+    // Temperature sampling from a probability row, optionally weighted per key (see frameWeights)
+    sampleIndex(probs, temperature, random = this.pass.random, keyWeights = null) {
+        const weights = Array.from(probs, (p, i) =>
+            Math.pow(Math.max(p * (keyWeights ? keyWeights[i] : 1), 1e-12), 1 / Math.max(temperature, 0.05)));
+        const total = weights.reduce((a, b) => a + b, 0);
+        let r = random.next() * total;
+        for (let i = 0; i < weights.length; i++) {
+            r -= weights[i];
+            if (r <= 0) return i;
+        }
+        return weights.length - 1;
+    }
+    
+    // Consecutive tokens on the same key become one held note. Tokens sampled with less
+    // confidence than a uniform guess over the keys aren't struck: a little less holds the
+    // previous note on (a tie), much less leaves the frame silent (a rest).
+    tokensToNotes(tokens) {
+        const notes = [];
+        const step = this.ops.frameDuration;
+        tokens.forEach(token => {
+            const last = notes[notes.length - 1];
+            const joins = last && Math.abs(last.time + last.duration - token.frame * step) < 1e-6;
+            const confidence = token.probability * this.ops.numKeys;
+            if (confidence < this.restConfidence) return;
+            if (joins && (last.pitch === token.pitch || confidence < this.tieConfidence)) {
+                last.duration += step;
+            } else {
+                notes.push({
+                    pitch: token.pitch,
+                    time: token.frame * step,
+                    duration: step,
+                    velocity: 0.8
+                });
+            }
+        });
+        return notes;
+    }
+    
+    applyFeedForward(data, layer, key) {
+        const match = layer.operation.match(/FFN\((\d+)/);
+        const hidden = match ? parseInt(match[1]) : 4 * this.ops.cols(data);
+        const h = this.ops.dense(data, `${key}/W1`, hidden, 'relu');
+        return this.ops.dense(h, `${key}/W2`, this.getWidth(layer));
+    }
+    
+    applyTimeEmbedding(layer) {
+        const timestep = this.pass.timestep ?? 0;
+        const embedding = this.ops.timestepEmbedding(timestep, this.getWidth(layer));
+        this.pass.timeEmbedding = embedding;
+        return embedding;
+    }
+    
+    // The U-Net reads xₜ (not the time embedding before it) and is conditioned on tₑ
+    applyDownsampling(data, layer, key) {
+        const width = this.getWidth(layer);
+        let h = this.ops.conv1d(this.pass.noisy || data, `${key}/conv`, width, 3, null, 2);
+        if (this.pass.timeEmbedding) {
+            h = this.ops.add(h, this.ops.dense(this.pass.timeEmbedding, `${key}/time`, width));
+        }
+        return this.ops.activate(h, 'relu');
+    }
+    
+    applyBottleneck(data, layer, key) {
+        const h = this.ops.conv1d(data, key, this.getWidth(layer), 3, 'relu', 2);
+        return this.ops.add(h, this.ops.selfAttention(h));
+    }
+    
+    // `skipFrom` names the downsampling layer whose features are added back (the U-Net skip)
+    applyUpsampling(data, layer, key) {
+        const skip = layer.skipFrom != null ? this.toTensor(this.pass.outputs[layer.skipFrom]) : null;
+        const length = skip ? this.ops.rows(skip) : this.ops.rows(data) * 2;
+        let h = this.ops.convTranspose1d(data, key, this.getWidth(layer), 3, null, 2, length);
+        if (skip && this.ops.cols(skip) === this.ops.cols(h)) {
+            h = this.ops.add(h, skip);
+        }
+        return this.ops.activate(h, 'relu');
+    }
+    
+    applyNoisePrediction(data, layer, key) {
+        const T = this.ops.rows(this.pass.roll);
+        return this.ops.convTranspose1d(data, key, this.getWidth(layer), 3, null, 2, T);
+    }
+    
+    // Reverse diffusion: start from Gaussian noise x_T over a [T, 88] roll and take `steps`
+    // strided denoising steps down the schedule, one per sampleStep.
+    // Returns { timesteps, states, random } with states[i] the roll at timesteps[i] once it
+    // has been sampled (the last one is x₀); only x_T exists yet.
+    startSampling(steps) {
+        const random = AppState.createRandom('diffusion');
+        const shape = [this.ops.rows(this.pass.roll), this.ops.numKeys];
+        const timesteps = [];
+        for (let k = steps; k >= 0; k--) {
+            timesteps.push(Math.round(k * this.scheduleLength / steps));
+        }
+        
+        const x = this.ops.tensor(shape);
+        for (let i = 0; i < x.data.length; i++) {
+            x.data[i] = random.gaussian();
         }
+        return { timesteps, states: [x], random };
+    }
+    
+    isSampled(trajectory) {
+        return trajectory.states.length === trajectory.timesteps.length;
+    }
+    
+    // One step: predict ε̂ with the network at timestep t, estimate x̂₀ and draw xₜ₋Δ from the
+    // DDPM posterior. Returns false once the chain has reached x₀.
+    sampleStep(trajectory) {
+        if (this.isSampled(trajectory)) return false;
+        const { timesteps, states, random } = trajectory;
+        const k = states.length - 1;
+        const x = states[k];
+        const alphaBar = this.alphaBar(timesteps[k]);
+        const alphaBarPrev = this.alphaBar(timesteps[k + 1]);
+        const sigma = Math.sqrt((1 - alphaBarPrev) / (1 - alphaBar) * (1 - alphaBar / alphaBarPrev));
+        const direction = Math.sqrt(Math.max(0, 1 - alphaBarPrev - sigma * sigma));
+        const eps = this.predictNoise(this.getArch().layers, x, timesteps[k]);
+        
+        const next = this.ops.tensor(x.shape);
+        for (let i = 0; i < next.data.length; i++) {
+            const x0 = Math.max(0, Math.min(1, (x.data[i] - Math.sqrt(1 - alphaBar) * eps.data[i]) / Math.sqrt(alphaBar)));
+            next.data[i] = Math.sqrt(alphaBarPrev) * x0 + direction * eps.data[i] + sigma * random.gaussian();
+        }
+        states.push(next);
+        return true;
+    }
+    
+    // Takes whatever steps are missing up to states[index] (the whole chain by default)
+    sampleUntil(trajectory, index = trajectory.timesteps.length - 1) {
+        while (trajectory.states.length <= index && this.sampleStep(trajectory));
+    }
+    
+    // ε̂ = fθ(xₜ, t): the layers between the noisy input and the output
+    predictNoise(layers, x, timestep) {
+        const end = layers.findIndex(layer => layer.type === 'output');
+        const eps = this.runLayers(1, end, x, { roll: this.pass.roll, random: this.pass.random, noisy: x, timestep, outputs: [x] });
+        return this.ops.fitLength(this.toTensor(eps), this.ops.rows(x));
+    }
+    
+    // Runs layers [start, end) of the current architecture on x in a scratch pass built from
+    // `fields` (roll, random, timestep, ...), leaving the forward pass untouched.
+    // A `details` array in `fields` collects each layer's details.
+    runLayers(start, end, x, fields) {
+        const layers = this.getArch().layers;
+        const outer = this.pass;
+        this.pass = { outputs: [], ...fields };
         
-        // Original array processing
-        return data.map(note => ({
-            ...note,
-            pitch: note.pitch + (Math.random() - 0.5) * temp * 2,
-            velocity: Math.min(1, Math.max(0, note.velocity + (Math.random() - 0.5) * 0.2))
-        }));
+        let h = x;
+        try {
+            for (let i = start; i < end; i++) {
+                const layer = layers[i];
+                const source = layer.inputFrom != null ? this.pass.outputs[layer.inputFrom] : h;
+                const result = this.applyLayer(layer, this.layerKey(i, layer), this.toTensor(source));
+                h = result.outputData;
+                this.pass.outputs[i] = h;
+                if (this.pass.details) this.pass.details[i] = result.details;
+            }
+        } finally {
+            this.pass = outer;
+        }
+        return h;
     }
     
-    generateActivationMap(layerIndex) {
-        // Generate heatmap data for tensor visualization
-        const size = 16;
-        const map = [];
+    // Keys above the threshold in each frame become notes (loudest few per frame, saturated
+    // ties going to the keys nearest middle C), held across consecutive frames. Values are
+    // weighted by the scale before the threshold; conditioning only reorders the keys that pass,
+    // so a style or progression picks which notes sound but never silences a frame.
+    rollToNotes(roll, threshold = 0.5, voices = 3, scale = this.getScale()) {
+        const notes = [];
+        let held = new Map();
+        const step = this.ops.frameDuration;
+        const keys = this.ops.numKeys;
+        const keyWeights = this.scaleWeights(scale);
+        const conditioned = this.conditioning.isActive();
         
-        for (let i = 0; i < size; i++) {
-            const row = [];
-            for (let j = 0; j < size; j++) {
-                const value = Math.random() * 0.7 + 0.3 * Math.sin((i + j) * 0.5 + layerIndex);
-                row.push(Math.max(0, Math.min(1, value)));
+        for (let t = 0; t < this.ops.rows(roll); t++) {
+            const bias = conditioned ? this.frameWeights(t, scale) : keyWeights;
+            const active = [];
+            for (let k = 0; k < keys; k++) {
+                const value = roll.data[t * keys + k] * keyWeights[k];
+                if (value > threshold) active.push({ k, value, rank: roll.data[t * keys + k] * bias[k] });
             }
-            map.push(row);
+            active.sort((a, b) => b.rank - a.rank || Math.abs(a.k - 39) - Math.abs(b.k - 39));
+            
+            const sounding = new Map();
+            active.slice(0, voices).forEach(({ k, value }) => {
+                let note = held.get(k);
+                if (note) {
+                    note.duration += step;
+                } else {
+                    note = { pitch: this.ops.minPitch + k, time: t * step, duration: step, velocity: value };
+                    notes.push(note);
+                }
+                sounding.set(k, note);
+            });
+            held = sounding;
         }
         
-        return map;
+        return notes.sort((a, b) => a.time - b.time || a.pitch - b.pitch);
+    }
+    
+    // ---------- GAN ----------
+    
+    applyNoiseSampling(layer) {
+        const z = this.ops.tensor([this.getWidth(layer)]);
+        for (let i = 0; i < z.data.length; i++) {
+            z.data[i] = this.pass.random.gaussian();
+        }
+        return z;
     }
     
+    // Dense(T/4×512) + Reshape: one projection of z per output frame
+    applyProjection(data, layer, key) {
+        const frames = this.getLength(layer);
+        const width = this.getWidth(layer);
+        const out = this.ops.tensor([frames, width]);
+        for (let t = 0; t < frames; t++) {
+            const frame = this.ops.dense(data, `${key}/t${t}`, width, 'relu');
+            out.data.set(frame.data, t * width);
+        }
+        return out;
+    }
+    
+    // The discriminator sees the real roll and G(z) side by side with shared weights.
+    // G(z) is also kept as the pass's output (see generateOutput).
+    applyPair(fake) {
+        const real = this.pass.roll;
+        this.pass.critic = { real, fake: this.ops.fitLength(fake, this.ops.rows(real)) };
+        this.pass.fake = this.pass.critic.fake;
+        return this.pass.critic;
+    }
+    
+    applyCritic(layer, key) {
+        const stride = this.getStride(layer);
+        const width = this.getWidth(layer);
+        const kernel = this.getKernel(layer);
+        const { real, fake } = this.pass.critic;
+        this.pass.critic = {
+            real: this.ops.conv1d(real, key, width, kernel, 'leaky_relu', stride),
+            fake: this.ops.conv1d(fake, key, width, kernel, 'leaky_relu', stride)
+        };
+        return this.pass.critic;
+    }
+    
+    applyScore(layer, key) {
+        const { real, fake } = this.pass.critic;
+        return {
+            real: this.ops.dense(this.ops.meanOverTime(real), key, 1, 'sigmoid'),
+            fake: this.ops.dense(this.ops.meanOverTime(fake), key, 1, 'sigmoid')
+        };
+    }
+    
+    applyOutput(data, layer, key) {
+        // Diffusion: x̂₀ = (xₜ - √(1-ᾱₜ)·ε̂) / √ᾱₜ
+        if (/x₀/.test(layer.operation) && this.pass.noisy) {
+            const { noisy, alphaBar } = this.pass;
+            const eps = this.ops.fitLength(data, this.ops.rows(noisy));
+            const out = this.ops.tensor(noisy.shape);
+            for (let i = 0; i < out.data.length; i++) {
+                const x0 = (noisy.data[i] - Math.sqrt(1 - alphaBar) * eps.data[i]) / Math.sqrt(alphaBar);
+                out.data[i] = Math.max(0, Math.min(1, x0));
+            }
+            return out;
+        }
+        
+        const activation = this.getActivation(layer);
+        if (/Conv/.test(layer.operation)) {
+            return this.ops.convTranspose1d(data, key, this.getWidth(layer), this.getKernel(layer), activation);
+        }
+        return this.ops.dense(data, key, this.getWidth(layer), activation);
+    }
+    
+    applyGenericTransform(data, layer, key) {
+        return this.ops.dense(data, key, this.getWidth(layer), this.getActivation(layer));
+    }
+    
+    generateActivationMap(tensor) {
+        // Heatmap data for tensor visualization, downsampled from the real activations
+        return this.ops.activationMap(tensor, 16);
+    }
+    
+    // Output notes are snapped to the rhythm grid, whichever way they were produced
     generateOutput(latentData) {
-        // Generate final output from latent representation
+        // An encoder–decoder pass has already produced its output tokens
+        if (this.pass && this.pass.decoded) {
+            return this.rhythm.quantize(this.tokensToNotes(this.pass.decoded.tokens));
+        }
+        
+        // A sequence model's output is whatever it has generated so far
+        if (this.pass && this.pass.generation) {
+            return this.rhythm.quantize(this.tokensToNotes(this.pass.generation.tokens));
+        }
+        
+        // A diffusion model's output is the last state of its sampling chain
+        if (this.pass && this.pass.sampled) {
+            this.sampleUntil(this.pass.sampled);
+            const states = this.pass.sampled.states;
+            return this.rhythm.quantize(this.rollToNotes(states[states.length - 1]));
+        }
+        
+        // A GAN's output is G(z), the fake roll its discriminator scores
+        if (this.pass && this.pass.fake) {
+            return this.rhythm.quantize(this.sigmoidRollToNotes(this.pass.fake));
+        }
+        
+        // Generate final output from latent representation: four bars of grid steps, each
+        // event a note one to four steps long or, one time in five, a rest. A conditioning style
+        // changes those odds, the register and the dynamics; a progression pulls notes to its chords.
         const notes = [];
-        const length = 32;
+        const end = 16 * 60 / AppState.bpm;
         const temp = AppState.temperature;
+        const random = AppState.createRandom('output');
+        const scale = this.getScale();
+        const style = this.conditioning.style();
+        const chords = this.conditioning.chords(scale);
+        const strength = AppState.conditionStrength;
+        const blend = (base, styled) => styled === undefined ? base : base + (styled - base) * strength;
+        const sustain = blend(2, style.sustain);
+        const rest = blend(0.2, style.rest);
+        const register = blend(60, style.register);
+        const range = blend(24, style.spread && 2 * style.spread);
+        const [quiet, loud] = style.velocity ? style.velocity.map((v, i) => blend([0.6, 1.0][i], v)) : [0.6, 1.0];
         
-        for (let i = 0; i < length; i++) {
-            const pitch = 60 + Math.floor((Math.random() * temp * 24) - 12);
+        for (let line = 0; this.rhythm.lineTime(line) < end - 1e-6;) {
+            const steps = 1 + Math.floor(random.next() ** sustain * 4); // short notes are likelier
+            const time = this.rhythm.lineTime(line);
+            line += steps;
+            if (random.next() < rest) continue;
+            
+            let pitch = Math.round(register) + Math.floor((random.next() * temp * range) - range / 2);
+            // Out-of-scale pitches move to the nearest scale note as often as the strictness says
+            if (!scale.inScale[pitch % 12] && random.next() < scale.strictness) {
+                pitch = this.keyDetector.snap(pitch, scale.inScale);
+            }
+            // and pitches outside the bar's chord to its nearest chord tone as often as the strength says
+            const chord = this.conditioning.chordAt(time, chords);
+            if (chord && !chord.tones.includes(pitch % 12) && random.next() < strength) {
+                const tones = new Array(12).fill(false);
+                chord.tones.forEach(pc => { tones[pc] = true; });
+                pitch = this.keyDetector.snap(pitch, tones);
+            }
             notes.push({
                 pitch: Math.max(36, Math.min(96, pitch)),
-                time: i * 0.25,
-                duration: 0.25,
-                velocity: Math.random() * 0.4 + 0.6
+                time,
+                duration: Math.min(end, this.rhythm.lineTime(line)) - time,
+                velocity: random.range(quiet, loud)
             });
         }
         
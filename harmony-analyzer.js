@@ -0,0 +1,96 @@
+// Musical analysis of a note array: key (via KeyDetector's profile matching), a pitch-class
+// histogram and one chord label per beat. Chords are matched against triad and seventh templates;
+// the lowest note and the key break ties, so a lone C in C major reads as "C", not "Am".
+class HarmonyAnalyzer {
+    constructor(keyDetector) {
+        this.keyDetector = keyDetector;
+
+        // `minTones`: how many chord tones must sound before the label is considered, so two
+        // melody notes a step apart read as a triad with a passing tone rather than a sus or 7th
+        this.chordTypes = [
+            { suffix: '', steps: [0, 4, 7], minTones: 1 },
+            { suffix: 'm', steps: [0, 3, 7], minTones: 1 },
+            { suffix: 'dim', steps: [0, 3, 6], minTones: 1 },
+            { suffix: 'aug', steps: [0, 4, 8], minTones: 3 },
+            { suffix: 'sus4', steps: [0, 5, 7], minTones: 3 },
+            { suffix: '7', steps: [0, 4, 7, 10], minTones: 3 },
+            { suffix: 'maj7', steps: [0, 4, 7, 11], minTones: 3 },
+            { suffix: 'm7', steps: [0, 3, 7, 10], minTones: 3 }
+        ];
+    }
+
+    // Returns { key, histogram, chords } or null without notes. key is KeyDetector.detect's
+    // result plus its name, histogram holds 12 shares summing to 1, and chords are
+    // [{ start, end, symbol }] in seconds with repeated beats merged.
+    analyze(notes, beatDuration) {
+        if (!notes || notes.length === 0) return null;
+
+        const key = this.keyDetector.detect(notes);
+        key.name = this.keyDetector.describe(key.root, key.mode);
+        const inKey = this.keyDetector.pitchClasses(key.root, key.mode);
+
+        return {
+            key,
+            histogram: this.histogram(notes),
+            chords: this.labelChords(notes, beatDuration, inKey)
+        };
+    }
+
+    // Time each pitch class sounds, weighted by velocity, as shares of the total
+    histogram(notes, start = 0, end = Infinity) {
+        const weights = new Array(12).fill(0);
+        notes.forEach(note => {
+            const overlap = Math.min(end, note.time + note.duration) - Math.max(start, note.time);
+            if (overlap > 0) weights[note.pitch % 12] += overlap * (note.velocity ?? 1);
+        });
+        const total = weights.reduce((a, b) => a + b, 0);
+        return total > 0 ? weights.map(w => w / total) : weights;
+    }
+
+    labelChords(notes, beatDuration, inKey) {
+        const end = Math.max(...notes.map(n => n.time + n.duration));
+        const chords = [];
+
+        for (let start = 0; start < end - 1e-6; start += beatDuration) {
+            const symbol = this.labelBeat(notes, start, start + beatDuration, inKey);
+            const last = chords[chords.length - 1];
+            if (last && last.symbol === symbol && Math.abs(last.end - start) < 1e-6) {
+                last.end = start + beatDuration;
+            } else if (symbol) {
+                chords.push({ start, end: start + beatDuration, symbol });
+            }
+        }
+        return chords;
+    }
+
+    // Best chord template for the notes sounding in [start, end), or null for silence
+    labelBeat(notes, start, end, inKey) {
+        const weights = this.histogram(notes, start, end);
+        if (weights.every(w => w === 0)) return null;
+
+        const sounding = notes.filter(n => n.time < end && n.time + n.duration > start);
+        const bass = Math.min(...sounding.map(n => n.pitch)) % 12;
+
+        let best = null;
+        for (let root = 0; root < 12; root++) {
+            this.chordTypes.forEach(type => {
+                const tones = type.steps.map(step => (root + step) % 12);
+                const missing = tones.filter(pc => weights[pc] === 0).length;
+                if (tones.length - missing < type.minTones) return;
+
+                let score = 0;
+                for (let pc = 0; pc < 12; pc++) {
+                    score += tones.includes(pc) ? weights[pc] : -weights[pc];
+                }
+                score -= 0.08 * missing;
+                if (root === bass) score += 0.1;
+                if (tones.every(pc => inKey[pc])) score += 0.05;
+
+                if (!best || score > best.score + 1e-9) {
+                    best = { score, symbol: this.keyDetector.noteNames[root] + type.suffix };
+                }
+            });
+        }
+        return best.symbol;
+    }
+}
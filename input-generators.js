@@ -0,0 +1,387 @@
+// Input generators for the input panel. Each registered generator is
+//   { name, icon, description, params: { id: spec }, generate(params, random) }
+// where a spec is { label, type: 'range' | 'key', min, max, step, value } (value is the default,
+// a 'key' is a pitch class 0-11), generate() returns note events in seconds, each on a track of
+// AppState.tracks, and `random` is the seeded 'input' stream. register() another generator and it shows up in the panel.
+class InputGeneratorRegistry {
+    constructor() {
+        this.generators = {};
+        this.majorSteps = [0, 2, 4, 5, 7, 9, 11];
+        this.registerBuiltIns();
+    }
+
+    register(id, generator) {
+        this.generators[id] = generator;
+    }
+
+    get(id) {
+        return this.generators[id] || null;
+    }
+
+    // [{ id, ...generator }] in registration order
+    list() {
+        return Object.entries(this.generators).map(([id, generator]) => ({ id, ...generator }));
+    }
+
+    defaults(id) {
+        const values = {};
+        Object.entries((this.get(id) || this.get('random')).params).forEach(([name, spec]) => {
+            values[name] = spec.value;
+        });
+        return values;
+    }
+
+    // Unknown ids fall back to the random melody; missing params take their defaults
+    generate(id, values = {}) {
+        if (!this.get(id)) id = 'random';
+        const params = { ...this.defaults(id), ...values };
+        const notes = this.get(id).generate(params, AppState.createRandom('input'));
+        return notes.sort((a, b) => a.time - b.time || a.pitch - b.pitch);
+    }
+
+    // ---------- Parameters ----------
+
+    keyParam(value = 0) {
+        return { label: 'Key', type: 'key', value };
+    }
+
+    barsParam(value, min = 1, max = 8, step = 1) {
+        return { label: 'Length (bars)', type: 'range', min, max, step, value };
+    }
+
+    tempoParam(value = 120) {
+        return { label: 'Tempo (BPM)', type: 'range', min: 60, max: 180, step: 5, value };
+    }
+
+    densityParam(value) {
+        return { label: 'Density', type: 'range', min: 0.1, max: 1, step: 0.1, value };
+    }
+
+    // ---------- Music helpers ----------
+
+    // Pitch of a major-scale degree (0 = tonic; negative or above 6 moves octaves) above `base`
+    degree(key, degree, base = 60) {
+        const octave = Math.floor(degree / 7);
+        return base + key + octave * 12 + this.majorSteps[degree - octave * 7];
+    }
+
+    // Diatonic triad on a scale degree, in close position
+    triad(key, degree, base = 60) {
+        return [0, 2, 4].map(step => this.degree(key, degree + step, base));
+    }
+
+    // Notes per beat for patterns whose density sets the subdivision
+    subdivision(density) {
+        return density >= 0.75 ? 4 : density >= 0.4 ? 2 : 1;
+    }
+
+    // ---------- Built-in generators ----------
+
+    registerBuiltIns() {
+        this.register('random', {
+            name: 'Random Melody',
+            icon: '🎲',
+            description: 'Random eighth notes within an octave of the key; density leaves rests',
+            params: { key: this.keyParam(), bars: this.barsParam(4), tempo: this.tempoParam(), density: this.densityParam(1) },
+            generate: (p, random) => this.generateRandom(p, random)
+        });
+        this.register('scale', {
+            name: 'Major Scale',
+            icon: '🎹',
+            description: 'Ascending & descending major scale',
+            params: { key: this.keyParam(), tempo: this.tempoParam() },
+            generate: (p) => this.generateScale(p)
+        });
+        this.register('chord', {
+            name: 'Chord Progression',
+            icon: '🎸',
+            description: 'I-IV-V-I progression, two beats per chord',
+            params: { key: this.keyParam(), bars: this.barsParam(2), tempo: this.tempoParam() },
+            generate: (p) => this.generateChords(p)
+        });
+        this.register('arpeggio', {
+            name: 'Arpeggios',
+            icon: '🌊',
+            description: 'I-vi-IV-V broken chords over a bass note; density sets the subdivision',
+            params: { key: this.keyParam(), bars: this.barsParam(4), tempo: this.tempoParam(), density: this.densityParam(0.8) },
+            generate: (p) => this.generateArpeggio(p)
+        });
+        this.register('alberti', {
+            name: 'Alberti Bass',
+            icon: '🎼',
+            description: 'Low-high-middle-high broken chords under a half-note melody',
+            params: { key: this.keyParam(), bars: this.barsParam(4), tempo: this.tempoParam(100), density: this.densityParam(0.5) },
+            generate: (p) => this.generateAlberti(p)
+        });
+        this.register('callResponse', {
+            name: 'Call & Response',
+            icon: '💬',
+            description: 'A one-bar motif answered an octave lower, ending on the tonic',
+            params: { key: this.keyParam(), bars: this.barsParam(4, 2, 8, 2), tempo: this.tempoParam(110), density: this.densityParam(0.6) },
+            generate: (p, random) => this.generateCallResponse(p, random)
+        });
+        this.register('blues', {
+            name: '12-Bar Blues',
+            icon: '🎷',
+            description: 'I7-IV7-V7 blues form with a boogie bass and shuffled comping',
+            params: { key: this.keyParam(), bars: this.barsParam(12, 4, 12, 4), tempo: this.tempoParam(130), density: this.densityParam(0.5) },
+            generate: (p, random) => this.generateBlues(p, random)
+        });
+        this.register('syncopated', {
+            name: 'Syncopated Rhythm',
+            icon: '🥁',
+            description: '3+3+2 rhythm on a pentatonic melody; density adds off-beat pushes',
+            params: { key: this.keyParam(), bars: this.barsParam(4), tempo: this.tempoParam(110), density: this.densityParam(0.4) },
+            generate: (p, random) => this.generateSyncopated(p, random)
+        });
+        this.register('drums', {
+            name: 'Drum Groove',
+            icon: '🪘',
+            description: 'Kick, snare and hi-hat on General MIDI drum notes; density adds ghost notes',
+            params: { bars: this.barsParam(2), tempo: this.tempoParam(100), density: this.densityParam(0.5) },
+            generate: (p, random) => this.generateDrums(p, random)
+        });
+    }
+
+    generateRandom({ key, bars, tempo, density }, random) {
+        const notes = [];
+        const step = 30 / tempo; // an eighth
+
+        for (let i = 0; i < bars * 8; i++) {
+            if (density < 1 && random.next() >= density) continue;
+            const pitch = 60 + key + random.int(25) - 12;
+            notes.push({
+                pitch: Math.max(36, Math.min(96, pitch)),
+                time: i * step,
+                duration: step,
+                velocity: random.range(0.6, 1.0),
+                track: 'melody'
+            });
+        }
+
+        return notes;
+    }
+
+    generateScale({ key, tempo }) {
+        const step = 30 / tempo;
+        const degrees = [0, 1, 2, 3, 4, 5, 6, 7];
+        const run = [...degrees, ...[...degrees].reverse()];
+
+        return run.map((degree, i) => ({
+            pitch: this.degree(key, degree),
+            time: i * step,
+            duration: step,
+            velocity: 0.8,
+            track: 'melody'
+        }));
+    }
+
+    generateChords({ key, bars, tempo }) {
+        const notes = [];
+        const chordLength = 2 * 60 / tempo;
+        const progression = [0, 3, 4, 0]; // I IV V I
+
+        for (let i = 0; i < bars * 2; i++) {
+            this.triad(key, progression[i % progression.length]).forEach(pitch => {
+                notes.push({ pitch, time: i * chordLength, duration: chordLength, velocity: 0.75, track: 'chords' });
+            });
+        }
+
+        return notes;
+    }
+
+    generateArpeggio({ key, bars, tempo, density }) {
+        const notes = [];
+        const beat = 60 / tempo;
+        const perBeat = this.subdivision(density);
+        const step = beat / perBeat;
+        const progression = [0, 5, 3, 4]; // I vi IV V
+        const pattern = [0, 1, 2, 3, 2, 1]; // up to the octave and back
+
+        for (let bar = 0; bar < bars; bar++) {
+            const degree = progression[bar % progression.length];
+            const tones = [...this.triad(key, degree), this.degree(key, degree + 7)];
+            const start = bar * 4 * beat;
+
+            notes.push({ pitch: this.degree(key, degree, 48), time: start, duration: 4 * beat, velocity: 0.6, track: 'bass' });
+            for (let i = 0; i < 4 * perBeat; i++) {
+                notes.push({
+                    pitch: tones[pattern[i % pattern.length]],
+                    time: start + i * step,
+                    duration: step,
+                    velocity: i % perBeat === 0 ? 0.85 : 0.7,
+                    track: 'chords'
+                });
+            }
+        }
+
+        return notes;
+    }
+
+    generateAlberti({ key, bars, tempo, density }) {
+        const notes = [];
+        const beat = 60 / tempo;
+        const perBeat = this.subdivision(density);
+        const step = beat / perBeat;
+        const progression = [0, 3, 4, 0]; // I IV V I
+
+        for (let bar = 0; bar < bars; bar++) {
+            const degree = progression[bar % progression.length];
+            const [root, third, fifth] = this.triad(key, degree, 48);
+            const pattern = [root, fifth, third, fifth];
+            const start = bar * 4 * beat;
+
+            for (let i = 0; i < 4 * perBeat; i++) {
+                notes.push({
+                    pitch: pattern[i % 4],
+                    time: start + i * step,
+                    duration: step,
+                    velocity: i % 4 === 0 ? 0.7 : 0.55,
+                    track: 'bass'
+                });
+            }
+
+            // Right hand: the chord's root, then its third, as half notes
+            [root, third].forEach((pitch, half) => {
+                notes.push({ pitch: pitch + 24, time: start + half * 2 * beat, duration: 2 * beat, velocity: 0.85, track: 'melody' });
+            });
+        }
+
+        return notes;
+    }
+
+    // Each pair of bars is a new call on a random eighth-note rhythm and a stepwise walk over
+    // the scale; the response keeps the rhythm, drops an octave and lands on the tonic
+    generateCallResponse({ key, bars, tempo, density }, random) {
+        const notes = [];
+        const beat = 60 / tempo;
+        const step = beat / 2;
+
+        for (let pair = 0; pair < Math.floor(bars / 2); pair++) {
+            const onsets = [0];
+            for (let i = 1; i < 8; i++) {
+                if (random.next() < density) onsets.push(i);
+            }
+            let degree = random.int(5);
+            const degrees = onsets.map(() => {
+                degree = Math.max(-2, Math.min(9, degree + random.int(5) - 2));
+                return degree;
+            });
+
+            const phrase = (bar, base, velocity, resolve) => {
+                onsets.forEach((onset, i) => {
+                    const next = i + 1 < onsets.length ? onsets[i + 1] : 8;
+                    const last = i === onsets.length - 1;
+                    notes.push({
+                        pitch: this.degree(key, resolve && last ? 0 : degrees[i], base),
+                        time: (bar * 8 + onset) * step,
+                        duration: (next - onset) * step * (last ? 1 : 0.9),
+                        velocity,
+                        track: 'melody'
+                    });
+                });
+            };
+            phrase(pair * 2, 72, 0.9, false);
+            phrase(pair * 2 + 1, 60, 0.7, true);
+        }
+
+        return notes;
+    }
+
+    // A blues shuffle: the comping hits on the swung off-beat (two thirds into the beat)
+    generateBlues({ key, bars, tempo, density }, random) {
+        const notes = [];
+        const beat = 60 / tempo;
+        const form = [0, 0, 0, 0, 5, 5, 0, 0, 7, 5, 0, 7]; // semitones above the key: I IV V
+        const boogie = [[0, 4, 7, 9], [10, 9, 7, 4]];
+
+        for (let bar = 0; bar < bars; bar++) {
+            const root = (key + form[bar % form.length]) % 12;
+            const start = bar * 4 * beat;
+
+            boogie[bar % 2].forEach((interval, i) => {
+                notes.push({ pitch: 36 + root + interval, time: start + i * beat, duration: beat * 0.9, velocity: 0.75, track: 'bass' });
+            });
+
+            // Rootless dominant seventh: 3rd, 5th and ♭7th
+            const chord = [4, 7, 10].map(interval => 60 + root + interval);
+            for (let b = 0; b < 4; b++) {
+                const onBeat = b === 0;
+                if (!onBeat && random.next() >= density) continue;
+                const time = start + (onBeat ? 0 : (b + 2 / 3) * beat);
+                chord.forEach(pitch => {
+                    notes.push({ pitch, time, duration: (onBeat ? 2 / 3 : 1 / 3) * beat, velocity: onBeat ? 0.7 : 0.6, track: 'chords' });
+                });
+            }
+        }
+
+        return notes;
+    }
+
+    // Two 3+3+2 tresillos per bar in sixteenths; density adds pushes that anticipate a beat
+    generateSyncopated({ key, bars, tempo, density }, random) {
+        const notes = [];
+        const step = 15 / tempo; // a sixteenth
+        const pentatonic = [0, 2, 4, 7, 9];
+        let index = random.int(5);
+
+        for (let bar = 0; bar < bars; bar++) {
+            const onsets = [0, 3, 6, 8, 11, 14];
+            [7, 15].forEach(push => {
+                if (random.next() < density) onsets.push(push);
+            });
+            onsets.sort((a, b) => a - b);
+
+            onsets.forEach((onset, i) => {
+                const next = i + 1 < onsets.length ? onsets[i + 1] : 16;
+                index = Math.max(0, Math.min(9, index + random.int(5) - 2));
+                notes.push({
+                    pitch: 60 + key + 12 * Math.floor(index / 5) + pentatonic[index % 5],
+                    time: (bar * 16 + onset) * step,
+                    duration: (next - onset) * step,
+                    velocity: onset % 4 === 0 ? 0.7 : 0.95, // accent the off-beats
+                    track: 'melody'
+                });
+            });
+        }
+
+        return notes;
+    }
+
+    generateDrums({ bars, tempo, density }, random) {
+        const notes = [];
+        const step = 15 / tempo;
+        const KICK = 36, SNARE = 38, CLOSED_HAT = 42, OPEN_HAT = 46;
+        const hit = (pitch, index, velocity) => {
+            notes.push({ pitch, time: index * step, duration: step, velocity, track: 'drums' });
+        };
+
+        for (let bar = 0; bar < bars; bar++) {
+            for (let s = 0; s < 16; s++) {
+                const index = bar * 16 + s;
+
+                if (s === 14 && bar % 2 === 1) {
+                    hit(OPEN_HAT, index, 0.6);
+                } else if (s % 2 === 0) {
+                    hit(CLOSED_HAT, index, s % 4 === 0 ? 0.55 : 0.4);
+                } else if (random.next() < density * 0.5) {
+                    hit(CLOSED_HAT, index, 0.3);
+                }
+
+                if (s === 0 || s === 8) {
+                    hit(KICK, index, 0.95);
+                } else if ((s === 10 || s === 3) && random.next() < density) {
+                    hit(KICK, index, 0.8);
+                }
+
+                if (s === 4 || s === 12) {
+                    hit(SNARE, index, 0.9);
+                } else if (s % 2 === 1 && random.next() < density * 0.25) {
+                    hit(SNARE, index, 0.3); // ghost note
+                }
+            }
+        }
+
+        return notes;
+    }
+}
@@ -0,0 +1,83 @@
+// Keys and scales for key-aware output. detect() correlates the input's pitch-class histogram
+// (weighted by duration and velocity) with the Krumhansl–Kessler major and minor profiles
+// rotated to each of the 12 roots and keeps the best match.
+class KeyDetector {
+    constructor() {
+        this.noteNames = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+        // Semitones above the root
+        this.scales = {
+            major: { name: 'Major', steps: [0, 2, 4, 5, 7, 9, 11] },
+            minor: { name: 'Minor', steps: [0, 2, 3, 5, 7, 8, 10] },
+            dorian: { name: 'Dorian', steps: [0, 2, 3, 5, 7, 9, 10] },
+            phrygian: { name: 'Phrygian', steps: [0, 1, 3, 5, 7, 8, 10] },
+            lydian: { name: 'Lydian', steps: [0, 2, 4, 6, 7, 9, 11] },
+            mixolydian: { name: 'Mixolydian', steps: [0, 2, 4, 5, 7, 9, 10] },
+            locrian: { name: 'Locrian', steps: [0, 1, 3, 5, 6, 8, 10] },
+            majorPentatonic: { name: 'Major pentatonic', steps: [0, 2, 4, 7, 9] },
+            minorPentatonic: { name: 'Minor pentatonic', steps: [0, 3, 5, 7, 10] }
+        };
+
+        this.profiles = {
+            major: [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88],
+            minor: [6.33, 2.68, 3.52, 5.38, 2.60, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17]
+        };
+    }
+
+    // Returns { root, mode, correlation } (mode is 'major' or 'minor'), or null without notes
+    detect(notes) {
+        const histogram = new Array(12).fill(0);
+        notes.forEach(note => {
+            histogram[note.pitch % 12] += note.duration * (note.velocity ?? 1);
+        });
+        if (histogram.every(v => v === 0)) return null;
+
+        let best = null;
+        Object.entries(this.profiles).forEach(([mode, profile]) => {
+            for (let root = 0; root < 12; root++) {
+                const correlation = this.correlate(histogram, profile, root);
+                if (!best || correlation > best.correlation) {
+                    best = { root, mode, correlation };
+                }
+            }
+        });
+        return best;
+    }
+
+    // Pearson correlation of the histogram, read from `root` upwards, with a key profile
+    correlate(histogram, profile, root) {
+        const rotated = profile.map((_, i) => histogram[(root + i) % 12]);
+        const mean = values => values.reduce((a, b) => a + b, 0) / values.length;
+        const mx = mean(rotated);
+        const my = mean(profile);
+        let sxy = 0, sxx = 0, syy = 0;
+        for (let i = 0; i < 12; i++) {
+            sxy += (rotated[i] - mx) * (profile[i] - my);
+            sxx += (rotated[i] - mx) ** 2;
+            syy += (profile[i] - my) ** 2;
+        }
+        return sxx > 0 ? sxy / Math.sqrt(sxx * syy) : 0;
+    }
+
+    // 12 flags, one per pitch class, set for the notes of the scale
+    pitchClasses(root, mode) {
+        const inScale = new Array(12).fill(false);
+        this.scales[mode].steps.forEach(step => {
+            inScale[(root + step) % 12] = true;
+        });
+        return inScale;
+    }
+
+    // Nearest pitch in the scale; ties resolve downwards
+    snap(pitch, inScale) {
+        for (let d = 0; d < 12; d++) {
+            if (inScale[(pitch - d + 120) % 12]) return pitch - d;
+            if (inScale[(pitch + d) % 12]) return pitch + d;
+        }
+        return pitch;
+    }
+
+    describe(root, mode) {
+        return `${this.noteNames[root]} ${this.scales[mode].name.toLowerCase()}`;
+    }
+}
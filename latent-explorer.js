@@ -0,0 +1,311 @@
+// Latent space explorer (#latent-canvas) for architectures with a `latent` layer.
+// Each input is encoded to its posterior mean μ and the μ vectors are projected to 2D with PCA.
+// Click a point to decode it, or empty space to decode the z that projects there (mean + x·PC1 +
+// y·PC2); drag from one point towards another to decode a blend of the two (the blend lands on
+// the line between them because the projection is linear).
+class LatentExplorer {
+    constructor(canvas, dataGenerator, onDecode) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.dataGenerator = dataGenerator;
+        this.onDecode = onDecode;
+
+        this.points = [];      // { label, notes, z, px, py }
+        this.mean = null;      // PCA centre and axes (PC1, PC2) in z-space
+        this.axes = [];
+        this.frames = 0;       // decoded length: the longest encoded input
+        this.drag = null;      // { from, to, alpha, moved }
+        this.marker = null;    // last decoded position { x, y }
+        this.hitRadius = 8;
+
+        this.setupCanvas();
+        this.setupEvents();
+        window.addEventListener('resize', () => {
+            this.setupCanvas();
+            this.draw();
+        });
+    }
+
+    setupCanvas() {
+        this.canvas.width = this.canvas.offsetWidth * window.devicePixelRatio;
+        this.canvas.height = this.canvas.offsetHeight * window.devicePixelRatio;
+        this.ctx.scale(window.devicePixelRatio, window.devicePixelRatio);
+    }
+
+    isAvailable() {
+        return this.dataGenerator.latentIndex() >= 0;
+    }
+
+    // ---------- Encoding ----------
+
+    // inputs: [{ label, notes }]; replaces the current points
+    encode(inputs) {
+        this.points = [];
+        inputs.forEach(input => this.addPoint(input.label, input.notes));
+        this.project();
+        this.draw();
+    }
+
+    add(label, notes) {
+        this.addPoint(label, notes);
+        this.project();
+        this.draw();
+    }
+
+    addPoint(label, notes) {
+        if (!notes || notes.length === 0) return;
+        const z = this.dataGenerator.encodeLatent(notes);
+        this.points.push({ label, notes, z, px: 0, py: 0 });
+        this.frames = Math.max(this.frames, this.dataGenerator.ops.frameCount(notes));
+    }
+
+    clear() {
+        this.points = [];
+        this.mean = null;
+        this.axes = [];
+        this.frames = 0;
+        this.drag = null;
+        this.marker = null;
+        this.draw();
+    }
+
+    // ---------- PCA ----------
+
+    // Top two principal axes by power iteration on the covariance (applied as Xᵀ(Xv)),
+    // the second kept orthogonal to the first
+    project() {
+        this.marker = null;
+        const n = this.points.length;
+        if (n === 0) return;
+
+        const d = this.points[0].z.data.length;
+        const mean = new Float64Array(d);
+        this.points.forEach(p => p.z.data.forEach((v, i) => { mean[i] += v / n; }));
+        const centered = this.points.map(p => Float64Array.from(p.z.data, (v, i) => v - mean[i]));
+
+        const axes = [];
+        for (let c = 0; c < 2; c++) {
+            // A fixed start vector keeps the layout the same every time the points are encoded
+            let v = Float64Array.from({ length: d }, (_, i) => ((i * 7 + c * 3) % 11) - 5);
+            for (let iter = 0; iter < 100; iter++) {
+                const next = new Float64Array(d);
+                centered.forEach(row => {
+                    const dot = row.reduce((sum, x, i) => sum + x * v[i], 0);
+                    row.forEach((x, i) => { next[i] += dot * x; });
+                });
+                axes.forEach(axis => {
+                    const overlap = next.reduce((sum, x, i) => sum + x * axis[i], 0);
+                    axis.forEach((a, i) => { next[i] -= overlap * a; });
+                });
+                const norm = Math.sqrt(next.reduce((sum, x) => sum + x * x, 0));
+                if (norm < 1e-12) {
+                    v = new Float64Array(d); // fewer distinct points than axes
+                    break;
+                }
+                v = next.map(x => x / norm);
+            }
+            axes.push(v);
+        }
+        this.mean = mean;
+        this.axes = axes;
+
+        this.points.forEach((p, k) => {
+            p.px = centered[k].reduce((sum, x, i) => sum + x * axes[0][i], 0);
+            p.py = centered[k].reduce((sum, x, i) => sum + x * axes[1][i], 0);
+        });
+    }
+
+    // Fit the projected points into the canvas with a margin
+    computeView() {
+        const w = this.canvas.offsetWidth;
+        const h = this.canvas.offsetHeight;
+        const margin = 24;
+        const xs = this.points.map(p => p.px);
+        const ys = this.points.map(p => p.py);
+        const minX = Math.min(...xs), maxX = Math.max(...xs);
+        const minY = Math.min(...ys), maxY = Math.max(...ys);
+        const scale = Math.min((w - 2 * margin) / (maxX - minX || 1), (h - 2 * margin) / (maxY - minY || 1));
+        const cx = (minX + maxX) / 2;
+        const cy = (minY + maxY) / 2;
+
+        return {
+            w, h,
+            toX: px => w / 2 + (px - cx) * scale,
+            toY: py => h / 2 - (py - cy) * scale,
+            fromX: x => cx + (x - w / 2) / scale,
+            fromY: y => cy - (y - h / 2) / scale
+        };
+    }
+
+    // ---------- Drawing ----------
+
+    draw() {
+        const ctx = this.ctx;
+        const w = this.canvas.offsetWidth;
+        const h = this.canvas.offsetHeight;
+
+        ctx.fillStyle = '#000';
+        ctx.fillRect(0, 0, w, h);
+
+        ctx.fillStyle = '#444';
+        ctx.font = '9px monospace';
+        ctx.fillText('PC1 →', w - 36, h - 6);
+        ctx.fillText('PC2 ↑', 4, 12);
+
+        if (this.points.length === 0) {
+            ctx.fillStyle = '#666';
+            ctx.font = '12px Inter';
+            ctx.textAlign = 'center';
+            ctx.fillText(this.isAvailable() ? 'Encode inputs to map them into z-space' : 'No latent layer in this architecture', w / 2, h / 2);
+            ctx.textAlign = 'left';
+            return;
+        }
+
+        const view = this.computeView();
+
+        if (this.drag && this.drag.to) {
+            const { from, to, alpha } = this.drag;
+            ctx.strokeStyle = '#ff00ff';
+            ctx.setLineDash([4, 4]);
+            ctx.beginPath();
+            ctx.moveTo(view.toX(from.px), view.toY(from.py));
+            ctx.lineTo(view.toX(to.px), view.toY(to.py));
+            ctx.stroke();
+            ctx.setLineDash([]);
+            this.drawMarker(view, this.blendPosition(from, to, alpha), `α = ${alpha.toFixed(2)}`);
+        } else if (this.marker) {
+            this.drawMarker(view, this.marker, '');
+        }
+
+        this.points.forEach((p, i) => {
+            const x = view.toX(p.px);
+            const y = view.toY(p.py);
+            const hue = (i * 67) % 360;
+            ctx.fillStyle = `hsl(${hue}, 100%, 60%)`;
+            ctx.beginPath();
+            ctx.arc(x, y, 5, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.fillStyle = '#ccc';
+            ctx.font = '10px Inter';
+            ctx.fillText(p.label, x + 8, y + 3);
+        });
+    }
+
+    drawMarker(view, position, text) {
+        const ctx = this.ctx;
+        const x = view.toX(position.x);
+        const y = view.toY(position.y);
+        ctx.strokeStyle = '#fff';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(x, y, 8, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.lineWidth = 1;
+        if (text) {
+            ctx.fillStyle = '#fff';
+            ctx.font = '10px monospace';
+            ctx.fillText(text, x + 10, y - 8);
+        }
+    }
+
+    blendPosition(from, to, alpha) {
+        return { x: from.px + (to.px - from.px) * alpha, y: from.py + (to.py - from.py) * alpha };
+    }
+
+    // ---------- Interaction ----------
+
+    setupEvents() {
+        this.canvas.addEventListener('mousedown', (e) => this.onMouseDown(e));
+        this.canvas.addEventListener('mousemove', (e) => this.onMouseMove(e));
+        window.addEventListener('mouseup', () => this.onMouseUp());
+    }
+
+    hitTest(x, y, view) {
+        return this.points.find(p => Math.hypot(view.toX(p.px) - x, view.toY(p.py) - y) <= this.hitRadius) || null;
+    }
+
+    onMouseDown(e) {
+        if (e.button !== 0 || this.points.length === 0) return;
+        const view = this.computeView();
+        const from = this.hitTest(e.offsetX, e.offsetY, view);
+        if (from) {
+            this.drag = { from, to: null, alpha: 0, moved: false };
+        } else {
+            this.decodePosition(view.fromX(e.offsetX), view.fromY(e.offsetY));
+        }
+    }
+
+    // While dragging, blend towards the point nearest the pointer; α is the pointer's
+    // position projected onto the line between the two
+    onMouseMove(e) {
+        const view = this.points.length > 0 ? this.computeView() : null;
+        if (!view) return;
+
+        if (!this.drag) {
+            this.canvas.style.cursor = this.hitTest(e.offsetX, e.offsetY, view) ? 'pointer' : 'crosshair';
+            return;
+        }
+
+        const { from } = this.drag;
+        const fx = view.toX(from.px);
+        const fy = view.toY(from.py);
+        if (Math.hypot(e.offsetX - fx, e.offsetY - fy) > 4) this.drag.moved = true;
+
+        const others = this.points.filter(p => p !== from);
+        if (others.length === 0) return;
+        const to = others.reduce((best, p) =>
+            Math.hypot(view.toX(p.px) - e.offsetX, view.toY(p.py) - e.offsetY) <
+            Math.hypot(view.toX(best.px) - e.offsetX, view.toY(best.py) - e.offsetY) ? p : best);
+
+        const dx = view.toX(to.px) - fx;
+        const dy = view.toY(to.py) - fy;
+        const length2 = dx * dx + dy * dy || 1;
+        this.drag.to = to;
+        this.drag.alpha = Math.max(0, Math.min(1, ((e.offsetX - fx) * dx + (e.offsetY - fy) * dy) / length2));
+        this.draw();
+    }
+
+    onMouseUp() {
+        if (!this.drag) return;
+        const { from, to, alpha, moved } = this.drag;
+        this.drag = null;
+
+        if (moved && to) {
+            this.decodeBlend(from, to, alpha);
+        } else {
+            this.decodePoint(from);
+        }
+    }
+
+    // ---------- Decoding ----------
+
+    decodePoint(point) {
+        this.marker = { x: point.px, y: point.py };
+        this.decode(point.z, point.label);
+    }
+
+    // z = mean + x·PC1 + y·PC2 for a position (x, y) in the projected plane
+    decodePosition(x, y) {
+        const z = this.dataGenerator.ops.tensor(this.points[0].z.shape);
+        for (let i = 0; i < z.data.length; i++) {
+            z.data[i] = this.mean[i] + x * this.axes[0][i] + y * this.axes[1][i];
+        }
+        this.marker = { x, y };
+        this.decode(z, `PCA (${x.toFixed(2)}, ${y.toFixed(2)})`);
+    }
+
+    decodeBlend(from, to, alpha) {
+        const z = this.dataGenerator.ops.tensor(from.z.shape);
+        for (let i = 0; i < z.data.length; i++) {
+            z.data[i] = (1 - alpha) * from.z.data[i] + alpha * to.z.data[i];
+        }
+        this.marker = this.blendPosition(from, to, alpha);
+        this.decode(z, `${from.label} → ${to.label} (α = ${alpha.toFixed(2)})`);
+    }
+
+    decode(z, label) {
+        this.draw();
+        const result = this.dataGenerator.decodeLatent(z, this.frames);
+        if (this.onDecode) this.onDecode(result.notes, label);
+    }
+}
@@ -0,0 +1,340 @@
+// Standard MIDI File (SMF) reader and writer. Notes use the same
+// { pitch, time, duration, velocity, track } shape as the rest of the app (time in seconds).
+class MidiFile {
+    constructor() {
+        this.defaultTempo = 500000; // microseconds per quarter note (120 BPM)
+        this.ppq = 480;             // ticks per quarter note for written files
+    }
+
+    parse(arrayBuffer) {
+        const bytes = new Uint8Array(arrayBuffer);
+        const reader = { bytes, pos: 0 };
+
+        if (this.readString(reader, 4) !== 'MThd') {
+            throw new Error('Not a Standard MIDI File (missing MThd header)');
+        }
+
+        const headerLength = this.readUint32(reader);
+        const format = this.readUint16(reader);
+        const trackCount = this.readUint16(reader);
+        const division = this.readUint16(reader);
+        reader.pos += headerLength - 6;
+
+        const rawTracks = [];
+        while (reader.pos + 8 <= bytes.length && rawTracks.length < trackCount) {
+            const chunkType = this.readString(reader, 4);
+            const chunkLength = this.readUint32(reader);
+            const chunkEnd = Math.min(bytes.length, reader.pos + chunkLength);
+
+            if (chunkType === 'MTrk') {
+                rawTracks.push(this.parseTrack(bytes, reader.pos, chunkEnd));
+            }
+            reader.pos = chunkEnd;
+        }
+
+        if (rawTracks.length === 0) {
+            throw new Error('MIDI file contains no tracks');
+        }
+
+        const tempoMap = this.buildTempoMap(rawTracks);
+        const toSeconds = this.createTickConverter(division, tempoMap);
+
+        // Format 0 keeps every channel in one track; split it so parts can still be picked
+        const parts = format === 0 ? this.splitByChannel(rawTracks[0]) : rawTracks;
+
+        const tracks = parts.map((track, index) => {
+            const notes = track.notes.map(n => {
+                const time = toSeconds(n.startTick);
+                return {
+                    pitch: n.pitch,
+                    time,
+                    duration: Math.max(0.01, toSeconds(n.endTick) - time),
+                    velocity: n.velocity / 127
+                };
+            }).sort((a, b) => a.time - b.time || a.pitch - b.pitch);
+
+            return {
+                index,
+                name: track.name || `Track ${index + 1}`,
+                channel: track.channel,
+                role: this.guessTrack(track.channel, notes),
+                notes
+            };
+        });
+
+        const duration = tracks.reduce((max, t) =>
+            t.notes.reduce((m, n) => Math.max(m, n.time + n.duration), max), 0);
+
+        return {
+            format,
+            division,
+            tempo: tempoMap[0].tempo,
+            bpm: 60000000 / tempoMap[0].tempo,
+            tracks,
+            duration
+        };
+    }
+
+    parseTrack(bytes, start, end) {
+        const reader = { bytes, pos: start };
+        const track = { name: '', channel: null, notes: [], tempos: [] };
+        const open = new Map(); // "channel:pitch" -> stack of sounding notes
+        let tick = 0;
+        let runningStatus = 0;
+
+        const noteOff = (channel, pitch) => {
+            const stack = open.get(`${channel}:${pitch}`);
+            if (stack && stack.length) {
+                const note = stack.shift();
+                note.endTick = tick;
+                track.notes.push(note);
+            }
+        };
+
+        while (reader.pos < end) {
+            tick += this.readVarLength(reader);
+
+            let status = bytes[reader.pos];
+            if (status & 0x80) {
+                reader.pos++;
+            } else {
+                // Running status: reuse the previous channel status byte
+                status = runningStatus;
+            }
+
+            if (status === 0xFF) {
+                const type = bytes[reader.pos++];
+                const length = this.readVarLength(reader);
+                if (type === 0x03 && !track.name) {
+                    track.name = this.readString(reader, length).trim();
+                    continue;
+                }
+                if (type === 0x51 && length === 3) {
+                    const tempo = (bytes[reader.pos] << 16) | (bytes[reader.pos + 1] << 8) | bytes[reader.pos + 2];
+                    track.tempos.push({ tick, tempo });
+                }
+                reader.pos += length;
+                if (type === 0x2F) break;
+                continue;
+            }
+
+            if (status === 0xF0 || status === 0xF7) {
+                reader.pos += this.readVarLength(reader);
+                continue;
+            }
+
+            runningStatus = status;
+            const command = status & 0xF0;
+            const channel = status & 0x0F;
+            const data1 = bytes[reader.pos++];
+            const data2 = (command === 0xC0 || command === 0xD0) ? 0 : bytes[reader.pos++];
+
+            if (command === 0x90 && data2 > 0) {
+                const key = `${channel}:${data1}`;
+                if (!open.has(key)) open.set(key, []);
+                open.get(key).push({ pitch: data1, velocity: data2, channel, startTick: tick });
+                if (track.channel === null) track.channel = channel;
+            } else if (command === 0x80 || command === 0x90) {
+                noteOff(channel, data1);
+            }
+        }
+
+        // Close notes that never received a note-off
+        open.forEach(stack => stack.forEach(note => {
+            note.endTick = tick;
+            track.notes.push(note);
+        }));
+
+        return track;
+    }
+
+    splitByChannel(track) {
+        const channels = new Map();
+        track.notes.forEach(note => {
+            if (!channels.has(note.channel)) {
+                channels.set(note.channel, { name: `Channel ${note.channel + 1}`, channel: note.channel, notes: [] });
+            }
+            channels.get(note.channel).notes.push(note);
+        });
+
+        const parts = [...channels.values()].sort((a, b) => a.channel - b.channel);
+        if (parts.length === 1 && track.name) parts[0].name = track.name;
+        return parts.length ? parts : [track];
+    }
+
+    buildTempoMap(tracks) {
+        const tempos = tracks.flatMap(t => t.tempos).sort((a, b) => a.tick - b.tick);
+        if (tempos.length === 0 || tempos[0].tick > 0) {
+            tempos.unshift({ tick: 0, tempo: this.defaultTempo });
+        }
+        return tempos;
+    }
+
+    // Returns tick -> seconds for either PPQ or SMPTE timing
+    createTickConverter(division, tempoMap) {
+        if (division & 0x8000) {
+            const fps = 256 - (division >> 8);
+            const ticksPerFrame = division & 0xFF;
+            return tick => tick / (fps * ticksPerFrame);
+        }
+
+        const ppq = division || 480;
+        const segments = [];
+        let seconds = 0;
+        tempoMap.forEach((entry, i) => {
+            if (i > 0) {
+                const prev = tempoMap[i - 1];
+                seconds += (entry.tick - prev.tick) * prev.tempo / 1e6 / ppq;
+            }
+            segments.push({ tick: entry.tick, tempo: entry.tempo, seconds });
+        });
+
+        return tick => {
+            let seg = segments[0];
+            for (let i = 1; i < segments.length && segments[i].tick <= tick; i++) {
+                seg = segments[i];
+            }
+            return seg.seconds + (tick - seg.tick) * seg.tempo / 1e6 / ppq;
+        };
+    }
+
+    // The AppState track a part most likely plays: channel 10 is drums, low parts are bass and
+    // parts where most notes start together with another are chords. `notes` are sorted by time.
+    guessTrack(channel, notes) {
+        if (channel === 9) return 'drums';
+        if (notes.length === 0) return 'melody';
+
+        const meanPitch = notes.reduce((sum, n) => sum + n.pitch, 0) / notes.length;
+        if (meanPitch < 50) return 'bass';
+
+        const together = (a, b) => a && b && Math.abs(a.time - b.time) < 0.02;
+        const stacked = notes.filter((n, i) => together(n, notes[i - 1]) || together(n, notes[i + 1])).length;
+        return stacked >= notes.length / 2 ? 'chords' : 'melody';
+    }
+
+    // Notes of one track (or all, trackIndex = -1) inside [startTime, endTime), shifted to start at 0
+    extractNotes(midi, trackIndex, startTime, endTime) {
+        const tracks = trackIndex < 0 ? midi.tracks : [midi.tracks[trackIndex]].filter(Boolean);
+
+        return tracks
+            .flatMap(t => t.notes.map(n => ({ ...n, track: t.role })))
+            .filter(n => n.time >= startTime && n.time < endTime)
+            .map(n => ({
+                pitch: n.pitch,
+                time: n.time - startTime,
+                duration: Math.min(n.duration, endTime - n.time),
+                velocity: n.velocity,
+                track: n.track
+            }))
+            .sort((a, b) => a.time - b.time || a.pitch - b.pitch);
+    }
+
+    // Build a type-1 SMF: a conductor track with tempo, then one track per part.
+    // parts: [{ name, notes, channel }]
+    write(parts, bpm = 120) {
+        const tempo = Math.round(60000000 / bpm);
+        const toTicks = seconds => Math.max(0, Math.round(seconds * this.ppq * bpm / 60));
+
+        const conductor = [
+            { tick: 0, order: 0, bytes: this.metaEvent(0x03, this.stringBytes('Neural Symphony')) },
+            { tick: 0, order: 0, bytes: this.metaEvent(0x51, [(tempo >> 16) & 0xFF, (tempo >> 8) & 0xFF, tempo & 0xFF]) },
+            { tick: 0, order: 0, bytes: this.metaEvent(0x58, [4, 2, 24, 8]) } // 4/4
+        ];
+
+        const tracks = [conductor, ...parts.map((part, index) => {
+            const channel = (part.channel ?? index) & 0x0F;
+            const events = [{ tick: 0, order: 0, bytes: this.metaEvent(0x03, this.stringBytes(part.name || `Track ${index + 1}`)) }];
+
+            part.notes.forEach(note => {
+                const pitch = Math.max(0, Math.min(127, Math.round(note.pitch)));
+                const velocity = Math.max(1, Math.min(127, Math.round((note.velocity ?? 0.8) * 127)));
+                const start = toTicks(note.time);
+                const end = Math.max(start + 1, toTicks(note.time + note.duration));
+
+                // Note-offs sort before note-ons on the same tick so repeated notes retrigger
+                events.push({ tick: start, order: 2, bytes: [0x90 | channel, pitch, velocity] });
+                events.push({ tick: end, order: 1, bytes: [0x80 | channel, pitch, 0] });
+            });
+
+            return events;
+        })];
+
+        const chunks = [this.chunk('MThd', [0, 1, (tracks.length >> 8) & 0xFF, tracks.length & 0xFF, (this.ppq >> 8) & 0xFF, this.ppq & 0xFF])];
+        tracks.forEach(events => chunks.push(this.chunk('MTrk', this.encodeTrack(events))));
+
+        return new Uint8Array(chunks.flat());
+    }
+
+    encodeTrack(events) {
+        const sorted = [...events].sort((a, b) => a.tick - b.tick || a.order - b.order);
+        const bytes = [];
+        let lastTick = 0;
+
+        sorted.forEach(event => {
+            bytes.push(...this.varLengthBytes(event.tick - lastTick), ...event.bytes);
+            lastTick = event.tick;
+        });
+
+        bytes.push(0, 0xFF, 0x2F, 0); // end of track
+        return bytes;
+    }
+
+    metaEvent(type, data) {
+        return [0xFF, type, ...this.varLengthBytes(data.length), ...data];
+    }
+
+    chunk(type, data) {
+        const length = data.length;
+        return [
+            ...this.stringBytes(type),
+            (length >>> 24) & 0xFF, (length >> 16) & 0xFF, (length >> 8) & 0xFF, length & 0xFF,
+            ...data
+        ];
+    }
+
+    // ---------- Byte helpers ----------
+
+    stringBytes(str) {
+        return Array.from(str, ch => ch.charCodeAt(0) & 0x7F);
+    }
+
+    varLengthBytes(value) {
+        const bytes = [value & 0x7F];
+        while ((value >>= 7) > 0) {
+            bytes.unshift((value & 0x7F) | 0x80);
+        }
+        return bytes;
+    }
+
+    readString(reader, length) {
+        let str = '';
+        for (let i = 0; i < length && reader.pos < reader.bytes.length; i++) {
+            str += String.fromCharCode(reader.bytes[reader.pos++]);
+        }
+        return str;
+    }
+
+    readUint32(reader) {
+        const b = reader.bytes;
+        const p = reader.pos;
+        reader.pos += 4;
+        return ((b[p] << 24) | (b[p + 1] << 16) | (b[p + 2] << 8) | b[p + 3]) >>> 0;
+    }
+
+    readUint16(reader) {
+        const b = reader.bytes;
+        const p = reader.pos;
+        reader.pos += 2;
+        return (b[p] << 8) | b[p + 1];
+    }
+
+    readVarLength(reader) {
+        let value = 0;
+        let byte;
+        do {
+            byte = reader.bytes[reader.pos++];
+            value = (value << 7) | (byte & 0x7F);
+        } while (byte & 0x80 && reader.pos < reader.bytes.length);
+        return value;
+    }
+}
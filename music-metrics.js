@@ -0,0 +1,146 @@
+// Quality metrics of a note array, so runs at different temperatures or on different
+// architectures can be compared by number. Pitch metrics skip unpitched (drum) notes; the
+// histograms are HarmonyAnalyzer's, the same ones the analysis boxes draw.
+class MusicMetrics {
+    constructor(harmonyAnalyzer) {
+        this.harmonyAnalyzer = harmonyAnalyzer;
+        this.keyDetector = harmonyAnalyzer.keyDetector;
+        this.smoothing = 1e-3; // added to every histogram bin so the divergence stays finite
+        this.patternLength = 3; // melodic intervals per pattern when measuring repetition
+    }
+
+    // Returns null without notes, else { pitchRange, lowest, highest, entropy, density,
+    // polyphony, maxPolyphony, scaleConsistency, scaleName, selfSimilarity, repetition,
+    // histogram }. selfSimilarity and repetition are null when there is too little to compare.
+    measure(notes, beatDuration) {
+        if (!notes || notes.length === 0) return null;
+
+        const pitched = AppState.pitchedNotes(notes);
+        const pitches = pitched.map(n => n.pitch);
+        const histogram = this.harmonyAnalyzer.histogram(pitched);
+        const end = Math.max(...notes.map(n => n.time + n.duration));
+        const scale = this.bestScale(histogram);
+        const polyphony = this.polyphony(notes);
+
+        return {
+            pitchRange: pitched.length > 0 ? Math.max(...pitches) - Math.min(...pitches) : 0,
+            lowest: pitched.length > 0 ? Math.min(...pitches) : null,
+            highest: pitched.length > 0 ? Math.max(...pitches) : null,
+            entropy: this.entropy(histogram),
+            density: notes.length / (end / beatDuration),
+            polyphony: polyphony.mean,
+            maxPolyphony: polyphony.max,
+            scaleConsistency: scale.share,
+            scaleName: scale.name,
+            selfSimilarity: this.selfSimilarity(pitched, 4 * beatDuration, end),
+            repetition: this.repetition(pitched),
+            histogram
+        };
+    }
+
+    // Shannon entropy in bits; 0 is one pitch class, log2(12) ≈ 3.58 all twelve equally
+    entropy(histogram) {
+        return -histogram.reduce((sum, p) => sum + (p > 0 ? p * Math.log2(p) : 0), 0);
+    }
+
+    // Notes sounding at once, averaged over the time anything sounds, and the most at once
+    polyphony(notes) {
+        const events = [];
+        notes.forEach(n => {
+            events.push({ time: n.time, change: 1 });
+            events.push({ time: n.time + n.duration, change: -1 });
+        });
+        events.sort((a, b) => a.time - b.time || a.change - b.change);
+
+        let sounding = 0, max = 0, weighted = 0, busy = 0, last = 0;
+        events.forEach(event => {
+            const span = event.time - last;
+            if (sounding > 0) {
+                weighted += sounding * span;
+                busy += span;
+            }
+            sounding += event.change;
+            max = Math.max(max, sounding);
+            last = event.time;
+        });
+        return { mean: busy > 0 ? weighted / busy : 0, max };
+    }
+
+    // Share of the pitch-class histogram inside the best-fitting major or minor scale
+    bestScale(histogram) {
+        let best = { share: 0, name: '-' };
+        ['major', 'minor'].forEach(mode => {
+            for (let root = 0; root < 12; root++) {
+                const inScale = this.keyDetector.pitchClasses(root, mode);
+                const share = histogram.reduce((sum, p, pc) => sum + (inScale[pc] ? p : 0), 0);
+                if (share > best.share + 1e-9) {
+                    best = { share, name: this.keyDetector.describe(root, mode) };
+                }
+            }
+        });
+        return best;
+    }
+
+    // Mean cosine similarity between the pitch-class histograms of every pair of bars
+    selfSimilarity(notes, barDuration, end) {
+        const bars = [];
+        for (let start = 0; start < end - 1e-6; start += barDuration) {
+            const histogram = this.harmonyAnalyzer.histogram(notes, start, start + barDuration);
+            if (histogram.some(p => p > 0)) bars.push(histogram);
+        }
+        if (bars.length < 2) return null;
+
+        const cosine = (a, b) => {
+            const dot = a.reduce((sum, x, i) => sum + x * b[i], 0);
+            const norm = v => Math.sqrt(v.reduce((sum, x) => sum + x * x, 0));
+            return dot / (norm(a) * norm(b));
+        };
+
+        let total = 0, pairs = 0;
+        for (let i = 0; i < bars.length; i++) {
+            for (let j = i + 1; j < bars.length; j++) {
+                total += cosine(bars[i], bars[j]);
+                pairs++;
+            }
+        }
+        return total / pairs;
+    }
+
+    // Share of melodic interval patterns that occur more than once. The melody is the highest
+    // note of each onset, so the pattern survives transposition but not a change of rhythm.
+    repetition(notes) {
+        const onsets = new Map();
+        notes.forEach(n => {
+            const onset = Math.round(n.time * 1000); // ms, so chord notes share one onset
+            onsets.set(onset, Math.max(onsets.get(onset) ?? -Infinity, n.pitch));
+        });
+        const melody = [...onsets.entries()].sort((a, b) => a[0] - b[0]).map(([, pitch]) => pitch);
+        const intervals = melody.slice(1).map((pitch, i) => pitch - melody[i]);
+        if (intervals.length < this.patternLength + 1) return null;
+
+        const counts = new Map();
+        const patterns = [];
+        for (let i = 0; i + this.patternLength <= intervals.length; i++) {
+            const pattern = intervals.slice(i, i + this.patternLength).join(',');
+            patterns.push(pattern);
+            counts.set(pattern, (counts.get(pattern) || 0) + 1);
+        }
+        return patterns.filter(pattern => counts.get(pattern) > 1).length / patterns.length;
+    }
+
+    // KL divergence D(p ‖ q) in bits between two measure() results' pitch-class histograms:
+    // how surprising p's pitch classes are to someone expecting q's. null if either is missing
+    // or has no pitched notes.
+    divergence(p, q) {
+        const pitched = m => m && m.histogram.some(x => x > 0);
+        if (!pitched(p) || !pitched(q)) return null;
+        const smooth = histogram => {
+            const bins = histogram.map(x => x + this.smoothing);
+            const total = bins.reduce((a, b) => a + b, 0);
+            return bins.map(x => x / total);
+        };
+        const ps = smooth(p.histogram);
+        const qs = smooth(q.histogram);
+        return ps.reduce((sum, x, i) => sum + x * Math.log2(x / qs[i]), 0);
+    }
+}
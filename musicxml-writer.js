@@ -0,0 +1,302 @@
+// MusicXML (score-partwise) writer for note arrays. Notes are quantized to a grid,
+// split into 4/4 measures, tied across barlines and grouped into chords/voices.
+class MusicXmlWriter {
+    constructor() {
+        this.stepNames = ['C', 'C', 'D', 'D', 'E', 'F', 'F', 'G', 'G', 'A', 'A', 'B'];
+        this.stepAlters = [0, 1, 0, 1, 0, 0, 1, 0, 1, 0, 1, 0];
+        this.beatsPerMeasure = 4;
+
+        // Written note values in quarter notes, largest first
+        this.noteValues = [
+            { quarters: 4, type: 'whole' },
+            { quarters: 3, type: 'half', dot: true },
+            { quarters: 2, type: 'half' },
+            { quarters: 1.5, type: 'quarter', dot: true },
+            { quarters: 1, type: 'quarter' },
+            { quarters: 2 / 3, type: 'quarter', triplet: true },
+            { quarters: 0.75, type: 'eighth', dot: true },
+            { quarters: 0.5, type: 'eighth' },
+            { quarters: 0.375, type: '16th', dot: true },
+            { quarters: 1 / 3, type: 'eighth', triplet: true },
+            { quarters: 0.25, type: '16th' },
+            { quarters: 1 / 6, type: '16th', triplet: true },
+            { quarters: 0.125, type: '32nd' }
+        ];
+
+        // General MIDI drum notes on a five-line percussion staff: the line or space each is
+        // drawn on (a common drum-set key) and its notehead. Others sit on the middle line.
+        this.drumStaff = {
+            35: { name: 'Acoustic Bass Drum', display: ['F', 4] },
+            36: { name: 'Bass Drum 1', display: ['F', 4] },
+            37: { name: 'Side Stick', display: ['C', 5], notehead: 'x' },
+            38: { name: 'Acoustic Snare', display: ['C', 5] },
+            39: { name: 'Hand Clap', display: ['C', 5], notehead: 'x' },
+            40: { name: 'Electric Snare', display: ['C', 5] },
+            41: { name: 'Low Floor Tom', display: ['G', 4] },
+            42: { name: 'Closed Hi-Hat', display: ['G', 5], notehead: 'x' },
+            43: { name: 'High Floor Tom', display: ['A', 4] },
+            44: { name: 'Pedal Hi-Hat', display: ['D', 4], notehead: 'x' },
+            45: { name: 'Low Tom', display: ['D', 5] },
+            46: { name: 'Open Hi-Hat', display: ['G', 5], notehead: 'circle-x' },
+            47: { name: 'Low-Mid Tom', display: ['D', 5] },
+            48: { name: 'Hi-Mid Tom', display: ['E', 5] },
+            49: { name: 'Crash Cymbal 1', display: ['A', 5], notehead: 'x' },
+            50: { name: 'High Tom', display: ['E', 5] },
+            51: { name: 'Ride Cymbal 1', display: ['F', 5], notehead: 'x' },
+            52: { name: 'Chinese Cymbal', display: ['A', 5], notehead: 'x' },
+            53: { name: 'Ride Bell', display: ['F', 5], notehead: 'diamond' },
+            55: { name: 'Splash Cymbal', display: ['A', 5], notehead: 'x' },
+            57: { name: 'Crash Cymbal 2', display: ['A', 5], notehead: 'x' },
+            59: { name: 'Ride Cymbal 2', display: ['F', 5], notehead: 'x' }
+        };
+    }
+
+    // parts: [{ name, notes, percussion }], divisions: grid steps per quarter note (4 = sixteenths,
+    // 3 = eighth triplets). A `percussion` part is written as General MIDI drums on a percussion staff.
+    write(parts, { bpm = 120, divisions = 4, title = 'Neural Symphony' } = {}) {
+        const measureLength = this.beatsPerMeasure * divisions;
+        const quantized = parts.map(part => this.quantize(part.notes, bpm, divisions));
+        const lastTick = Math.max(1, ...quantized.flat().map(n => n.end));
+        const measureCount = Math.ceil(lastTick / measureLength);
+
+        const partList = parts.map((part, i) => `
+    <score-part id="P${i + 1}">
+      <part-name>${this.escape(part.name)}</part-name>${part.percussion ? this.writeDrumInstruments(`P${i + 1}`, quantized[i]) : ''}
+    </score-part>`).join('');
+
+        const partBodies = parts.map((part, i) => {
+            const voices = this.assignVoices(quantized[i]);
+            const measures = [];
+            for (let m = 0; m < measureCount; m++) {
+                measures.push(this.writeMeasure(m, voices, {
+                    measureLength, divisions, bpm,
+                    clef: part.percussion ? { sign: 'percussion', line: 2 } : this.chooseClef(part.notes),
+                    drumPart: part.percussion ? `P${i + 1}` : null
+                }));
+            }
+            return `
+  <part id="P${i + 1}">${measures.join('')}
+  </part>`;
+        }).join('');
+
+        return `<?xml version="1.0" encoding="UTF-8" standalone="no"?>
+<!DOCTYPE score-partwise PUBLIC "-//Recordare//DTD MusicXML 4.0 Partwise//EN" "http://www.musicxml.org/dtds/partwise.dtd">
+<score-partwise version="4.0">
+  <work>
+    <work-title>${this.escape(title)}</work-title>
+  </work>
+  <part-list>${partList}
+  </part-list>${partBodies}
+</score-partwise>
+`;
+    }
+
+    // Seconds -> integer grid ticks; every note keeps at least one grid step
+    quantize(notes, bpm, divisions) {
+        const ticksPerSecond = bpm / 60 * divisions;
+        return notes.map(note => {
+            const start = Math.max(0, Math.round(note.time * ticksPerSecond));
+            const end = Math.max(start + 1, Math.round((note.time + note.duration) * ticksPerSecond));
+            return {
+                pitch: Math.max(0, Math.min(127, Math.round(note.pitch))),
+                velocity: note.velocity ?? 0.8,
+                start,
+                end
+            };
+        });
+    }
+
+    // Notes sharing start and end become one chord; overlapping chords go to separate voices
+    assignVoices(notes) {
+        const chords = new Map();
+        notes.forEach(note => {
+            const key = `${note.start}:${note.end}`;
+            if (!chords.has(key)) chords.set(key, { start: note.start, end: note.end, notes: [] });
+            const chord = chords.get(key);
+            if (!chord.notes.some(n => n.pitch === note.pitch)) chord.notes.push(note);
+        });
+
+        const voices = [];
+        [...chords.values()]
+            .sort((a, b) => a.start - b.start || b.end - a.end)
+            .forEach(chord => {
+                chord.notes.sort((a, b) => a.pitch - b.pitch);
+                let voice = voices.find(v => v.end <= chord.start);
+                if (!voice) {
+                    voice = { end: 0, chords: [] };
+                    voices.push(voice);
+                }
+                voice.chords.push(chord);
+                voice.end = chord.end;
+            });
+
+        return voices;
+    }
+
+    writeMeasure(index, voices, { measureLength, divisions, bpm, clef, drumPart }) {
+        const measureStart = index * measureLength;
+        const measureEnd = measureStart + measureLength;
+        let body = '';
+
+        if (index === 0) {
+            body += `
+      <attributes>
+        <divisions>${divisions}</divisions>
+        <key><fifths>0</fifths></key>
+        <time><beats>${this.beatsPerMeasure}</beats><beat-type>4</beat-type></time>
+        <clef><sign>${clef.sign}</sign><line>${clef.line}</line></clef>
+      </attributes>
+      <direction placement="above">
+        <direction-type>
+          <metronome><beat-unit>quarter</beat-unit><per-minute>${Math.round(bpm)}</per-minute></metronome>
+        </direction-type>
+        <sound tempo="${Math.round(bpm)}"/>
+      </direction>`;
+        }
+
+        let written = 0;
+        (voices.length ? voices : [{ chords: [] }]).forEach((voice, v) => {
+            const chords = voice.chords.filter(c => c.start < measureEnd && c.end > measureStart);
+
+            if (chords.length === 0) {
+                // Voice 1 always fills the bar; extra voices are simply omitted
+                if (v === 0) {
+                    body += `
+      <note>
+        <rest measure="yes"/>
+        <duration>${measureLength}</duration>
+        <voice>1</voice>
+      </note>`;
+                    written = measureLength;
+                }
+                return;
+            }
+
+            if (written > 0) {
+                body += `
+      <backup><duration>${written}</duration></backup>`;
+            }
+
+            let cursor = measureStart;
+            chords.forEach(chord => {
+                const start = Math.max(chord.start, measureStart);
+                const end = Math.min(chord.end, measureEnd);
+
+                if (start > cursor) {
+                    body += this.writeRests(start - cursor, v + 1, divisions);
+                }
+
+                const pieces = this.splitDuration(end - start, divisions);
+                pieces.forEach((value, p) => {
+                    const tieStop = p > 0 || chord.start < measureStart;
+                    const tieStart = p < pieces.length - 1 || chord.end > measureEnd;
+                    chord.notes.forEach((note, n) => {
+                        body += this.writeNote(note, value, {
+                            chord: n > 0, voice: v + 1, divisions, tieStart, tieStop, drumPart
+                        });
+                    });
+                });
+
+                cursor = end;
+            });
+
+            if (cursor < measureEnd) {
+                body += this.writeRests(measureEnd - cursor, v + 1, divisions);
+            }
+            written = measureLength;
+        });
+
+        return `
+    <measure number="${index + 1}">${body}
+    </measure>`;
+    }
+
+    // Break a tick duration into written note values (tied together by the caller)
+    splitDuration(ticks, divisions) {
+        const values = this.noteValues
+            .map(v => ({ ...v, ticks: v.quarters * divisions }))
+            .filter(v => Math.abs(v.ticks - Math.round(v.ticks)) < 1e-9 && v.ticks >= 1)
+            .map(v => ({ ...v, ticks: Math.round(v.ticks) }));
+
+        const pieces = [];
+        let remaining = ticks;
+        while (remaining > 0) {
+            const value = values.find(v => v.ticks <= remaining) || values[values.length - 1];
+            pieces.push(value);
+            remaining -= value.ticks;
+        }
+        return pieces;
+    }
+
+    writeRests(ticks, voice, divisions) {
+        return this.splitDuration(ticks, divisions).map(value => `
+      <note>
+        <rest/>
+        <duration>${value.ticks}</duration>
+        <voice>${voice}</voice>
+        ${this.writeType(value)}
+      </note>`).join('');
+    }
+
+    // In a drum part (`drumPart` is its id) the note is an unpitched hit on its General MIDI instrument
+    writeNote(note, value, { chord, voice, tieStart, tieStop, drumPart }) {
+        const step = this.stepNames[note.pitch % 12];
+        const alter = drumPart ? 0 : this.stepAlters[note.pitch % 12];
+        const octave = Math.floor(note.pitch / 12) - 1;
+        // MusicXML dynamics are a percentage of forte (MIDI velocity 90)
+        const dynamics = Math.round(note.velocity * 127 / 90 * 100);
+
+        const ties = (tieStop ? '<tie type="stop"/>' : '') + (tieStart ? '<tie type="start"/>' : '');
+        const tied = (tieStop ? '<tied type="stop"/>' : '') + (tieStart ? '<tied type="start"/>' : '');
+
+        let head = `<pitch><step>${step}</step>${alter ? `<alter>${alter}</alter>` : ''}<octave>${octave}</octave></pitch>`;
+        let instrument = '';
+        let notehead = '';
+        if (drumPart) {
+            const drum = this.drumStaff[note.pitch] || { display: ['B', 4] };
+            head = `<unpitched><display-step>${drum.display[0]}</display-step><display-octave>${drum.display[1]}</display-octave></unpitched>`;
+            instrument = `<instrument id="${drumPart}-I${note.pitch + 1}"/>`;
+            if (drum.notehead) notehead = `<notehead>${drum.notehead}</notehead>`;
+        }
+
+        return `
+      <note dynamics="${dynamics}">
+        ${chord ? '<chord/>' : ''}${head}
+        <duration>${value.ticks}</duration>${ties}${instrument}
+        <voice>${voice}</voice>
+        ${this.writeType(value, alter ? '<accidental>sharp</accidental>' : '')}${notehead}${tied ? `
+        <notations>${tied}</notations>` : ''}
+      </note>`;
+    }
+
+    // One instrument per drum note the part uses, played on MIDI channel 10 (midi-unpitched is 1-based)
+    writeDrumInstruments(partId, notes) {
+        const pitches = [...new Set(notes.map(note => note.pitch))].sort((a, b) => a - b);
+        const name = pitch => (this.drumStaff[pitch] || { name: `Drum ${pitch}` }).name;
+        return pitches.map(pitch => `
+      <score-instrument id="${partId}-I${pitch + 1}"><instrument-name>${this.escape(name(pitch))}</instrument-name></score-instrument>`).join('') +
+            pitches.map(pitch => `
+      <midi-instrument id="${partId}-I${pitch + 1}"><midi-channel>10</midi-channel><midi-unpitched>${pitch + 1}</midi-unpitched></midi-instrument>`).join('');
+    }
+
+    // type, dot, accidental and time-modification must appear in this order
+    writeType(value, accidental = '') {
+        return `<type>${value.type}</type>` +
+            (value.dot ? '<dot/>' : '') +
+            accidental +
+            (value.triplet ? '<time-modification><actual-notes>3</actual-notes><normal-notes>2</normal-notes></time-modification>' : '');
+    }
+
+    chooseClef(notes) {
+        const avg = notes.reduce((sum, n) => sum + n.pitch, 0) / (notes.length || 1);
+        return notes.length && avg < 57 ? { sign: 'F', line: 4 } : { sign: 'G', line: 2 };
+    }
+
+    escape(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
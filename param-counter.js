@@ -0,0 +1,130 @@
+// Derives parameter counts from each layer's `operation` text and its inferred input shape,
+// so the hand-typed `params` values in AppState.architectures can be checked.
+class ParamCounter {
+    constructor() {
+        // Terms that carry no trainable parameters
+        this.parameterFree = /^(Input|AddPosEncoding|SinusoidalPosEmbed|AddNoise|SampleNoise|Sampling|Reshape|Downsample|Upsample|Skip|Add|Batch|GlobalAvgPool|Sigmoid|Softmax|ReLU|LeakyReLU)\b|^x₀\s*=/;
+    }
+
+    // Splits "Conv1D(filters=256, kernel=3) + Sigmoid" into { name, args, positional }
+    parseOperation(operation) {
+        return operation.split(/\s+\+\s+/).map(text => {
+            const m = text.trim().match(/^([^(]+?)\s*(?:\((.*)\))?$/);
+            const term = { text: text.trim(), name: m ? m[1].trim() : text.trim(), args: {}, positional: [] };
+            if (m && m[2]) {
+                m[2].split(',').map(a => a.trim()).filter(Boolean).forEach(arg => {
+                    const kv = arg.match(/^(\w+)\s*=\s*(.+)$/);
+                    if (kv) term.args[kv[1]] = kv[2];
+                    else term.positional.push(arg);
+                });
+            }
+            return term;
+        });
+    }
+
+    // Size like "256", "T×512", "T/4×512" or "2048→512" (first number) for a given T
+    size(text, T) {
+        if (text === undefined) return null;
+        const compact = String(text).replace(/\s+/g, '');
+        let m;
+        if ((m = compact.match(/^T(?:\/(\d+))?[×*](\d+)$/))) {
+            return Math.ceil(T / parseInt(m[1] || '1')) * parseInt(m[2]);
+        }
+        if ((m = compact.match(/^(\d+)[×*]T$/))) {
+            return T * parseInt(m[1]);
+        }
+        return (m = compact.match(/^(\d+)/)) ? parseInt(m[1]) : null;
+    }
+
+    // Counts one term given the incoming channel count; returns { weights, biases, out } or null
+    countTerm(term, channels, T, terms) {
+        const units = this.size(term.args.units ?? term.args.filters ?? term.positional[0], T);
+        const kernel = parseInt(term.args.kernel || '3');
+
+        switch (term.name) {
+            case 'Conv1D':
+            case 'ConvTranspose1D':
+            // 2D convolutions here slide a 3-tap kernel along time over the [T, C] sequence
+            case 'Conv2D':
+            case 'ConvTranspose2D':
+                return { weights: kernel * channels * units, biases: units, out: units };
+            case 'Dense':
+            case 'Linear': {
+                // Dense + Sampling is the VAE head: separate μ and log σ² projections
+                const heads = terms.some(t => t.name === 'Sampling') ? 2 : 1;
+                return { weights: heads * channels * units, biases: heads * units, out: units };
+            }
+            case 'LayerNorm':
+                // gain γ and shift β per channel
+                return { weights: channels, biases: channels, out: channels };
+            case 'Embedding':
+                return { weights: channels * units, biases: 0, out: units };
+            case 'LSTM':
+                // input, forget, cell and output gates
+                return { weights: 4 * (channels * units + units * units), biases: 4 * units, out: units };
+            case 'MultiHeadAttention':
+            case 'Attention':
+                // Q, K, V and output projections; the head count only splits them
+                return { weights: 4 * channels * channels, biases: 4 * channels, out: channels };
+            case 'FFN': {
+                const m = (term.positional[0] || '').match(/(\d+)\s*→\s*(\d+)/);
+                const hidden = m ? parseInt(m[1]) : 4 * channels;
+                const out = m ? parseInt(m[2]) : channels;
+                return { weights: channels * hidden + hidden * out, biases: hidden + out, out };
+            }
+            case 'ResBlock': {
+                // Two 3-tap convolutions, plus a 1×1 shortcut when the width changes
+                const shortcut = channels !== units ? channels * units : 0;
+                return {
+                    weights: 3 * channels * units + 3 * units * units + shortcut,
+                    biases: 2 * units + (shortcut ? units : 0),
+                    out: units
+                };
+            }
+            default:
+                return null;
+        }
+    }
+
+    countLayer(layer, inputDims, T) {
+        const result = { weights: 0, biases: 0, total: 0, unknown: [], declared: layer.params, mismatch: false };
+        let channels = inputDims && inputDims.length ? inputDims[inputDims.length - 1] : 0;
+        const terms = this.parseOperation(layer.operation || '');
+
+        terms.forEach(term => {
+            if (this.parameterFree.test(term.text)) return;
+            const counted = this.countTerm(term, channels, T, terms);
+            if (!counted) {
+                result.unknown.push(term.text);
+                return;
+            }
+            result.weights += counted.weights;
+            result.biases += counted.biases;
+            channels = counted.out;
+        });
+
+        result.total = result.weights + result.biases;
+        result.mismatch = result.unknown.length === 0 && typeof layer.params === 'number' && layer.params !== result.total;
+        return result;
+    }
+
+    // shapeReport comes from ShapeInference.check and supplies each layer's concrete input shape
+    count(arch, shapeReport) {
+        const T = shapeReport.T;
+        const layers = arch.layers.map((layer, index) => {
+            const report = shapeReport.layers[index];
+            const inputDims = report && report.input
+                ? report.input.map(dim => Math.ceil(dim.symbol ? dim.factor * T : dim.factor))
+                : null;
+            return this.countLayer(layer, inputDims, T);
+        });
+
+        return {
+            T,
+            layers,
+            total: layers.reduce((sum, l) => sum + l.total, 0),
+            declaredTotal: arch.layers.reduce((sum, l) => sum + (l.params || 0), 0),
+            mismatchCount: layers.filter(l => l.mismatch).length
+        };
+    }
+}
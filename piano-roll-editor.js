@@ -0,0 +1,346 @@
+// Interactive editor for the input piano roll (#input-canvas).
+// Click to add, drag to move, drag the right edge to resize, right-click to delete,
+// drag in the velocity lane to set dynamics. Edits are written back to AppState.inputNotes.
+// The grid drawn and snapped to is the shared RhythmGrid (AppState.grid and swing).
+class PianoRollEditor {
+    constructor(canvas, visualizer, rhythm, onEdit) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.visualizer = visualizer;
+        this.rhythm = rhythm;
+        this.onEdit = onEdit;
+
+        this.snap = true;        // snap to the rhythm grid's lines
+        this.laneHeight = 28;    // velocity lane at the bottom of the canvas
+        this.edgeSize = 6;       // px from a note's right edge that starts a resize
+        this.drag = null;
+        this.hoverNote = null;
+        this.view = null;
+        this.highlight = [];     // time spans to mark, e.g. the two frames of an attention cell
+
+        this.setupEvents();
+    }
+
+    // ---------- Geometry ----------
+
+    beatDuration() {
+        return 60 / AppState.bpm;
+    }
+
+    // Nearest grid line ('round') or the last one at or before `time` ('floor')
+    snapTime(time, mode = 'round') {
+        if (!this.snap) return Math.max(0, time);
+        let line = this.rhythm.nearestLine(Math.max(0, time));
+        if (mode === 'floor' && this.rhythm.lineTime(line) > time + 1e-6) line--;
+        return this.rhythm.lineTime(Math.max(0, line));
+    }
+
+    // Length of the grid step starting at the line nearest `time`; swung steps alternate long and short
+    stepAt(time) {
+        const line = this.rhythm.nearestLine(Math.max(0, time));
+        return this.rhythm.lineTime(line + 1) - this.rhythm.lineTime(line);
+    }
+
+    // Time and pitch ranges stay fixed while a drag is in progress
+    computeView(notes) {
+        const w = this.canvas.offsetWidth;
+        const h = this.canvas.offsetHeight;
+        const bar = 4 * this.beatDuration();
+        const end = notes.reduce((max, n) => Math.max(max, n.time + n.duration), 0);
+        const maxTime = Math.max(2 * bar, Math.ceil((end + this.beatDuration()) / bar) * bar);
+
+        let minPitch = 60, maxPitch = 72;
+        if (notes.length > 0) {
+            minPitch = Math.min(...notes.map(n => n.pitch)) - 3;
+            maxPitch = Math.max(...notes.map(n => n.pitch)) + 3;
+        }
+        const missing = 24 - (maxPitch - minPitch);
+        if (missing > 0) {
+            minPitch -= Math.floor(missing / 2);
+            maxPitch += Math.ceil(missing / 2);
+        }
+        minPitch = Math.max(21, Math.round(minPitch));
+        maxPitch = Math.min(108, Math.round(maxPitch));
+
+        const rollHeight = h - this.laneHeight;
+        const rowHeight = rollHeight / (maxPitch - minPitch + 1);
+
+        return {
+            w, h, maxTime, minPitch, maxPitch, rollHeight, rowHeight,
+            timeToX: t => (t / maxTime) * w,
+            xToTime: x => (x / w) * maxTime,
+            pitchToY: p => (maxPitch - p) * rowHeight,
+            yToPitch: y => Math.max(minPitch, Math.min(maxPitch, maxPitch - Math.floor(y / rowHeight)))
+        };
+    }
+
+    noteRect(note, view) {
+        const x = view.timeToX(note.time);
+        return {
+            x,
+            y: view.pitchToY(note.pitch),
+            w: Math.max(view.timeToX(note.time + note.duration) - x, 3),
+            h: view.rowHeight
+        };
+    }
+
+    hitTest(x, y, view) {
+        const notes = AppState.inputNotes;
+        for (let i = notes.length - 1; i >= 0; i--) {
+            const r = this.noteRect(notes[i], view);
+            if (x >= r.x && x <= r.x + r.w && y >= r.y && y <= r.y + r.h) {
+                return { note: notes[i], nearEdge: x >= r.x + r.w - this.edgeSize };
+            }
+        }
+        return null;
+    }
+
+    // ---------- Drawing ----------
+
+    // `chords` ([{ start, end, symbol }], see HarmonyAnalyzer) are labelled along the top
+    draw(notes, chords = []) {
+        const view = this.drag ? this.view : this.computeView(notes);
+        this.view = view;
+        const ctx = this.ctx;
+        const { w, h, rollHeight, rowHeight } = view;
+
+        ctx.fillStyle = '#000';
+        ctx.fillRect(0, 0, w, h);
+
+        // Pitch rows: shade black keys, mark C rows
+        for (let p = view.minPitch; p <= view.maxPitch; p++) {
+            const y = view.pitchToY(p);
+            if ([1, 3, 6, 8, 10].includes(p % 12)) {
+                ctx.fillStyle = '#0a0a0a';
+                ctx.fillRect(0, y, w, rowHeight);
+            }
+            if (p % 12 === 0) {
+                ctx.strokeStyle = '#2a2a2a';
+                ctx.lineWidth = 1;
+                ctx.beginPath();
+                ctx.moveTo(0, y + rowHeight);
+                ctx.lineTo(w, y + rowHeight);
+                ctx.stroke();
+                ctx.fillStyle = '#444';
+                ctx.font = '9px monospace';
+                ctx.fillText(`C${Math.floor(p / 12) - 1}`, 2, y + rowHeight - 1);
+            }
+        }
+
+        // Time grid: rhythm grid lines, beats and bars
+        this.rhythm.lines(view.maxTime).forEach(line => {
+            const x = view.timeToX(line.time);
+            ctx.strokeStyle = line.bar ? '#333' : line.beat ? '#222' : '#141414';
+            ctx.beginPath();
+            ctx.moveTo(x, 0);
+            ctx.lineTo(x, rollHeight);
+            ctx.stroke();
+        });
+
+        // Highlighted spans: a tinted column, then an outline on every note sounding in it
+        this.highlight.forEach(span => {
+            const x = view.timeToX(span.start);
+            ctx.fillStyle = span.color + '22';
+            ctx.fillRect(x, 0, Math.max(view.timeToX(span.end) - x, 2), rollHeight);
+        });
+        
+        notes.forEach(note => {
+            const r = this.noteRect(note, view);
+            this.visualizer.drawNote(ctx, r.x, r.y + rowHeight / 2, r.w, Math.max(rowHeight - 1, 2), note);
+            
+            this.highlight.forEach(span => {
+                if (note.time < span.end && note.time + note.duration > span.start) {
+                    ctx.strokeStyle = span.color;
+                    ctx.lineWidth = 2;
+                    ctx.strokeRect(r.x - 1, r.y - 1, r.w + 2, rowHeight + 1);
+                    ctx.lineWidth = 1;
+                }
+            });
+
+            if (note === this.hoverNote || (this.drag && note === this.drag.note)) {
+                ctx.strokeStyle = '#fff';
+                ctx.lineWidth = 1;
+                ctx.strokeRect(r.x + 0.5, r.y + 0.5, r.w - 1, rowHeight - 1);
+            }
+        });
+        
+        this.visualizer.drawChordLabels(ctx, chords, view.timeToX);
+
+        this.drawVelocityLane(notes, view);
+    }
+
+    drawVelocityLane(notes, view) {
+        const ctx = this.ctx;
+        const top = view.rollHeight;
+
+        ctx.fillStyle = '#05070f';
+        ctx.fillRect(0, top, view.w, this.laneHeight);
+        ctx.strokeStyle = '#00d4ff55';
+        ctx.beginPath();
+        ctx.moveTo(0, top + 0.5);
+        ctx.lineTo(view.w, top + 0.5);
+        ctx.stroke();
+
+        notes.forEach(note => {
+            const x = view.timeToX(note.time);
+            const barHeight = (this.laneHeight - 4) * note.velocity;
+            ctx.fillStyle = `hsl(${150 - note.velocity * 150}, 100%, 50%)`;
+            ctx.fillRect(x, view.h - barHeight - 1, 3, barHeight);
+        });
+
+        ctx.fillStyle = '#444';
+        ctx.font = '9px monospace';
+        ctx.fillText('VEL', view.w - 22, top + 10);
+    }
+
+    // ---------- Interaction ----------
+
+    setupEvents() {
+        this.canvas.addEventListener('mousedown', (e) => this.onMouseDown(e));
+        this.canvas.addEventListener('mousemove', (e) => this.onMouseMove(e));
+        window.addEventListener('mouseup', () => this.onMouseUp());
+        this.canvas.addEventListener('contextmenu', (e) => this.onContextMenu(e));
+        this.canvas.addEventListener('mouseleave', () => {
+            if (!this.drag && this.hoverNote) {
+                this.hoverNote = null;
+                this.redraw();
+            }
+        });
+    }
+
+    onMouseDown(e) {
+        if (e.button !== 0) return;
+        const view = this.computeView(AppState.inputNotes);
+        this.view = view;
+        const x = e.offsetX;
+        const y = e.offsetY;
+
+        if (y >= view.rollHeight) {
+            this.drag = { mode: 'velocity', velocities: AppState.inputNotes.map(n => n.velocity) };
+            this.setVelocityAt(x, y);
+            return;
+        }
+
+        const hit = this.hitTest(x, y, view);
+        if (hit) {
+            this.drag = {
+                mode: hit.nearEdge ? 'resize' : 'move',
+                note: hit.note,
+                from: { time: hit.note.time, pitch: hit.note.pitch, duration: hit.note.duration },
+                grabOffset: view.xToTime(x) - hit.note.time
+            };
+            return;
+        }
+
+        // Empty space: add a note one grid step long and let the drag stretch it
+        const time = this.snapTime(view.xToTime(x), 'floor');
+        const note = {
+            pitch: view.yToPitch(y),
+            time,
+            duration: this.snap ? this.stepAt(time) : this.beatDuration() / 4,
+            velocity: 0.8
+        };
+        AppState.inputNotes.push(note);
+        this.drag = { mode: 'resize', note, added: true };
+        this.redraw();
+    }
+
+    onMouseMove(e) {
+        const x = e.offsetX;
+        const y = e.offsetY;
+
+        if (!this.drag) {
+            const view = this.computeView(AppState.inputNotes);
+            const hit = y < view.rollHeight ? this.hitTest(x, y, view) : null;
+            this.canvas.style.cursor = !hit ? (y >= view.rollHeight ? 'ns-resize' : 'crosshair') :
+                hit.nearEdge ? 'ew-resize' : 'move';
+            const hoverNote = hit ? hit.note : null;
+            if (hoverNote !== this.hoverNote) {
+                this.hoverNote = hoverNote;
+                this.redraw();
+            }
+            return;
+        }
+
+        const view = this.view;
+        const note = this.drag.note;
+
+        if (this.drag.mode === 'velocity') {
+            this.setVelocityAt(x, y);
+            return;
+        }
+
+        if (this.drag.mode === 'move') {
+            note.time = this.snapTime(view.xToTime(x) - this.drag.grabOffset);
+            note.pitch = view.yToPitch(Math.min(y, view.rollHeight - 1));
+        } else if (this.drag.mode === 'resize') {
+            const minDuration = this.snap ? this.stepAt(note.time) : 0.05;
+            note.duration = Math.max(minDuration, this.snapTime(view.xToTime(x)) - note.time);
+        }
+
+        this.redraw();
+    }
+
+    // Only an actual edit resets the forward pass; a click that leaves the note as it was doesn't
+    onMouseUp() {
+        if (!this.drag) return;
+        const changed = this.dragChanged(this.drag);
+        this.drag = null;
+        if (changed) this.commit();
+        else this.redraw();
+    }
+
+    dragChanged(drag) {
+        if (drag.mode === 'velocity') {
+            return AppState.inputNotes.some((n, i) => n.velocity !== drag.velocities[i]);
+        }
+        if (drag.added) return true;
+        const { note, from } = drag;
+        return note.time !== from.time || note.pitch !== from.pitch || note.duration !== from.duration;
+    }
+
+    onContextMenu(e) {
+        e.preventDefault();
+        const view = this.computeView(AppState.inputNotes);
+        const hit = this.hitTest(e.offsetX, e.offsetY, view);
+        if (!hit) return;
+
+        AppState.inputNotes.splice(AppState.inputNotes.indexOf(hit.note), 1);
+        this.hoverNote = null;
+        this.commit();
+    }
+
+    // Velocity lane: set the chord starting closest to the pointer
+    setVelocityAt(x, y) {
+        const notes = AppState.inputNotes;
+        if (notes.length === 0) return;
+
+        const view = this.view;
+        const time = view.xToTime(x);
+        const nearest = notes.reduce((best, n) =>
+            Math.abs(n.time - time) < Math.abs(best.time - time) ? n : best, notes[0]);
+        const velocity = Math.max(0.05, Math.min(1, 1 - (y - view.rollHeight) / this.laneHeight));
+
+        notes.filter(n => Math.abs(n.time - nearest.time) < 1e-6).forEach(n => {
+            n.velocity = velocity;
+        });
+        this.redraw();
+    }
+
+    // spans: [{ start, end, color: '#rrggbb' }] in seconds; [] clears
+    setHighlight(spans) {
+        this.highlight = spans;
+        this.redraw();
+    }
+    
+    redraw() {
+        this.visualizer.drawInput(AppState.inputNotes);
+    }
+
+    commit() {
+        AppState.inputNotes.sort((a, b) => a.time - b.time || a.pitch - b.pitch);
+        AppState.inputData = AppState.inputNotes;
+        this.redraw();
+        if (this.onEdit) this.onEdit(AppState.inputNotes);
+    }
+}
@@ -0,0 +1,85 @@
+// Rhythm grid shared by generated input, generated output and the output piano rolls.
+// AppState.grid is one step in beats (1/3 and 1/6 are triplets). AppState.swing (0-1) delays
+// every second step of a straight grid by up to a third of a step; 1 is a full triplet shuffle.
+class RhythmGrid {
+    constructor() {
+        this.options = [
+            { label: '1/4', beats: 1 },
+            { label: '1/8', beats: 1 / 2 },
+            { label: '1/16', beats: 1 / 4 },
+            { label: '1/8 triplet', beats: 1 / 3 },
+            { label: '1/16 triplet', beats: 1 / 6 }
+        ];
+    }
+
+    isTriplet() {
+        return Math.round(1 / AppState.grid) % 3 === 0;
+    }
+
+    // Swing only applies to straight grids; triplets already are the swung subdivision
+    swing() {
+        return this.isTriplet() ? 0 : AppState.swing;
+    }
+
+    stepDuration(bpm = AppState.bpm) {
+        return AppState.grid * 60 / bpm;
+    }
+
+    // Time in seconds of grid line `index`
+    lineTime(index, bpm = AppState.bpm) {
+        const step = this.stepDuration(bpm);
+        return index * step + (index % 2 === 1 ? this.swing() * step / 3 : 0);
+    }
+
+    // Index of the grid line closest to `time`; swung lines can sit nearer the next index
+    nearestLine(time, bpm = AppState.bpm) {
+        const guess = Math.round(time / this.stepDuration(bpm));
+        let best = Math.max(0, guess - 1);
+        for (let index = best + 1; index <= guess + 1; index++) {
+            if (Math.abs(this.lineTime(index, bpm) - time) < Math.abs(this.lineTime(best, bpm) - time) - 1e-9) {
+                best = index;
+            }
+        }
+        return best;
+    }
+
+    // Starts and ends snapped to the nearest grid lines, every note at least one step long.
+    // Notes that land on the same key, track and line merge; an earlier note on a key is cut
+    // off where the next one on that key and track starts.
+    quantize(notes, bpm = AppState.bpm) {
+        const snapped = notes.map(note => {
+            const start = this.nearestLine(note.time, bpm);
+            const end = Math.max(start + 1, this.nearestLine(note.time + note.duration, bpm));
+            const time = this.lineTime(start, bpm);
+            return { ...note, time, duration: this.lineTime(end, bpm) - time };
+        });
+        snapped.sort((a, b) => a.time - b.time || a.pitch - b.pitch);
+
+        const last = new Map();
+        return snapped.filter(note => {
+            const key = `${AppState.trackId(note)}/${note.pitch}`;
+            const previous = last.get(key);
+            if (previous && Math.abs(previous.time - note.time) < 1e-6) {
+                previous.duration = Math.max(previous.duration, note.duration);
+                previous.velocity = Math.max(previous.velocity, note.velocity);
+                return false;
+            }
+            if (previous && previous.time + previous.duration > note.time) {
+                previous.duration = note.time - previous.time;
+            }
+            last.set(key, note);
+            return true;
+        });
+    }
+
+    // Grid lines up to `maxTime` as [{ time, beat, bar }] flags for drawing
+    lines(maxTime, bpm = AppState.bpm) {
+        const lines = [];
+        const stepsPerBeat = Math.round(1 / AppState.grid);
+        for (let index = 0; this.lineTime(index, bpm) <= maxTime + 1e-6; index++) {
+            const beat = index % stepsPerBeat === 0;
+            lines.push({ time: this.lineTime(index, bpm), beat, bar: beat && (index / stepsPerBeat) % 4 === 0 });
+        }
+        return lines;
+    }
+}
@@ -0,0 +1,43 @@
+// Deterministic pseudo-random generator (mulberry32) used instead of Math.random
+// so a run can be reproduced exactly from AppState.seed.
+class SeededRandom {
+    constructor(seed) {
+        this.state = (typeof seed === 'string' ? SeededRandom.hash(seed) : seed) >>> 0;
+    }
+
+    // FNV-1a hash, turns "seed:stream" labels into 32-bit seeds
+    static hash(str) {
+        let h = 0x811c9dc5;
+        for (let i = 0; i < str.length; i++) {
+            h ^= str.charCodeAt(i);
+            h = Math.imul(h, 0x01000193);
+        }
+        return h >>> 0;
+    }
+
+    // Float in [0, 1)
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    // Float in [min, max)
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    // Integer in [0, max)
+    int(max) {
+        return Math.floor(this.next() * max);
+    }
+
+    // Standard normal sample via Box-Muller
+    gaussian() {
+        const u = 1 - this.next();
+        const v = this.next();
+        return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    }
+}
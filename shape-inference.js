@@ -0,0 +1,154 @@
+// Parses the free-text shapes in AppState.architectures ("[T, 88]", "[T/2, 512]", "[128]")
+// and checks that every layer's input matches the output of the layer feeding it.
+class ShapeInference {
+    // Returns { dims: [{ symbol, factor, text }] } or { error }; `text` is the dimension as written
+    parse(shapeStr) {
+        const match = typeof shapeStr === 'string' && shapeStr.trim().match(/^\[(.*)\]$/);
+        if (!match) {
+            return { error: `"${shapeStr}" is not a bracketed shape` };
+        }
+
+        const parts = match[1].split(',').map(p => p.trim());
+        if (parts.some(p => p === '')) {
+            return { error: `"${shapeStr}" has an empty dimension` };
+        }
+
+        const dims = [];
+        for (const part of parts) {
+            const dim = this.parseDim(part);
+            if (!dim) {
+                return { error: `cannot read dimension "${part}" in ${shapeStr}` };
+            }
+            dims.push(dim);
+        }
+        return { dims };
+    }
+
+    // A dimension is either a constant or a multiple of the sequence length T
+    parseDim(text) {
+        const compact = text.replace(/\s+/g, '');
+        let m;
+
+        if ((m = compact.match(/^(\d+)$/))) {
+            return { symbol: null, factor: parseInt(m[1]), text: compact };
+        }
+        if ((m = compact.match(/^(?:(\d+)[*×]?)?T(?:\/(\d+))?$/))) {
+            return { symbol: 'T', factor: parseInt(m[1] || '1') / parseInt(m[2] || '1'), text: compact };
+        }
+        if ((m = compact.match(/^T[*×](\d+)$/))) {
+            return { symbol: 'T', factor: parseInt(m[1]), text: compact };
+        }
+        return null;
+    }
+
+    evaluate(dim, T) {
+        return dim.symbol ? dim.factor * T : dim.factor;
+    }
+
+    equal(a, b) {
+        return a.length === b.length &&
+            a.every((dim, i) => dim.symbol === b[i].symbol && Math.abs(dim.factor - b[i].factor) < 1e-9);
+    }
+
+    // Concrete sizes for a given T; fractional sizes round up like the stride-2 convolutions do
+    concrete(dims, T) {
+        return dims.map(dim => Math.ceil(this.evaluate(dim, T) - 1e-9));
+    }
+
+    format(sizes) {
+        return `[${sizes.join(', ')}]`;
+    }
+
+    // Propagate shapes through an architecture. A layer reads from the previous layer
+    // unless it names another one with `inputFrom` (e.g. a U-Net reading xₜ past a side branch);
+    // `inputFrom: null` marks an external input such as the GAN's noise z.
+    check(arch, T) {
+        const layers = arch.layers.map((layer, index) => {
+            const issues = [];
+            const input = this.parse(layer.inputShape);
+            const output = this.parse(layer.outputShape);
+            const sourceIndex = layer.inputFrom !== undefined ? layer.inputFrom : index - 1;
+
+            if (input.error) issues.push(`Input shape: ${input.error}`);
+            if (output.error) issues.push(`Output shape: ${output.error}`);
+
+            if (index > 0 && sourceIndex !== null && !input.error) {
+                const source = arch.layers[sourceIndex];
+                if (!source) {
+                    issues.push(`Reads from layer ${sourceIndex + 1}, which does not exist`);
+                } else {
+                    const produced = this.parse(source.outputShape);
+                    if (!produced.error && !this.equal(produced.dims, input.dims)) {
+                        issues.push(`Expects ${layer.inputShape} but "${source.name}" outputs ${source.outputShape}`);
+                    }
+                }
+            }
+
+            // A residual is added element-wise, so its shape must match exactly
+            if (layer.residualFrom != null && !input.error) {
+                const residual = arch.layers[layer.residualFrom];
+                const residualShape = residual ? this.parse(residual.outputShape) : null;
+                if (!residual) {
+                    issues.push(`Residual from layer ${layer.residualFrom + 1}, which does not exist`);
+                } else if (!residualShape.error && !this.equal(residualShape.dims, input.dims)) {
+                    issues.push(`Residual "${residual.name}" outputs ${residual.outputShape}, cannot add to ${layer.inputShape}`);
+                }
+            }
+            
+            // A U-Net skip is added after the layer's own operation, so it must match the output
+            if (layer.skipFrom != null && !output.error) {
+                const skip = arch.layers[layer.skipFrom];
+                const skipShape = skip ? this.parse(skip.outputShape) : null;
+                if (!skip) {
+                    issues.push(`Skip from layer ${layer.skipFrom + 1}, which does not exist`);
+                } else if (!skipShape.error && !this.equal(skipShape.dims, output.dims)) {
+                    issues.push(`Skip "${skip.name}" outputs ${skip.outputShape}, cannot add to ${layer.outputShape}`);
+                }
+            }
+            
+            // Cross-attention memory only has to match in width; its length may differ
+            if (layer.memoryFrom != null && !input.error) {
+                const memory = arch.layers[layer.memoryFrom];
+                const memoryShape = memory ? this.parse(memory.outputShape) : null;
+                if (!memory) {
+                    issues.push(`Attends to layer ${layer.memoryFrom + 1}, which does not exist`);
+                } else if (!memoryShape.error) {
+                    const width = memoryShape.dims[memoryShape.dims.length - 1];
+                    const own = input.dims[input.dims.length - 1];
+                    if (!this.equal([width], [own])) {
+                        issues.push(`Memory "${memory.name}" outputs ${memory.outputShape}, width differs from ${layer.inputShape}`);
+                    }
+                }
+            }
+            
+            // Fractions of T round up in the forward pass, so they are shown with the sizes, not flagged
+            const roundings = [];
+            [input, output].forEach(shape => {
+                (shape.dims || []).forEach(dim => {
+                    const size = this.evaluate(dim, T);
+                    if (dim.symbol && Math.abs(size - Math.round(size)) > 1e-9) {
+                        roundings.push(`${dim.text} = ${+size.toFixed(2)} → ${Math.ceil(size)}`);
+                    }
+                });
+            });
+
+            return {
+                index,
+                sourceIndex: index > 0 ? sourceIndex : null,
+                external: index > 0 && sourceIndex === null,
+                input: input.dims || null,
+                output: output.dims || null,
+                concreteInput: input.dims ? this.format(this.concrete(input.dims, T)) : '?',
+                concreteOutput: output.dims ? this.format(this.concrete(output.dims, T)) : '?',
+                roundings: [...new Set(roundings)],
+                issues: [...new Set(issues)]
+            };
+        });
+
+        return {
+            T,
+            layers,
+            issueCount: layers.reduce((sum, l) => sum + l.issues.length, 0)
+        };
+    }
+}
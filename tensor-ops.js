@@ -0,0 +1,479 @@
+// Small CPU-side tensor library used by DataGenerator to run real layer math.
+// Tensors are plain objects: { shape: [rows, cols] | [size], data: Float32Array } (row-major).
+class TensorOps {
+    constructor() {
+        this.frameDuration = 0.25; // seconds per piano-roll frame (one sixteenth at 60 BPM)
+        this.maxFrames = 64;       // keeps the forward pass interactive on long inputs
+        this.minPitch = 21;        // A0, first of the 88 piano keys
+        this.numKeys = 88;
+
+        // Fixed weights are generated once per key and reused across passes
+        this.weightCache = new Map();
+    }
+
+    // ---------- Construction ----------
+
+    tensor(shape, data) {
+        const size = shape.reduce((a, b) => a * b, 1);
+        return { shape: [...shape], data: data || new Float32Array(size) };
+    }
+
+    rows(t) {
+        return t.shape.length === 1 ? 1 : t.shape[0];
+    }
+
+    cols(t) {
+        return t.shape[t.shape.length - 1];
+    }
+
+    // Number of piano-roll frames (T) a note list occupies
+    frameCount(notes) {
+        const end = notes.reduce((max, n) => Math.max(max, n.time + n.duration), 0);
+        return Math.max(1, Math.min(this.maxFrames, Math.ceil(end / this.frameDuration - 1e-6)));
+    }
+
+    // Convert note events into a binary [T, 88] piano roll (velocity-weighted)
+    pianoRoll(notes) {
+        const frames = this.frameCount(notes);
+        const roll = this.tensor([frames, this.numKeys]);
+
+        notes.forEach(note => {
+            const key = Math.round(note.pitch) - this.minPitch;
+            if (key < 0 || key >= this.numKeys) return;
+
+            const start = Math.floor(note.time / this.frameDuration + 1e-6);
+            const stop = Math.max(start + 1, Math.ceil((note.time + note.duration) / this.frameDuration - 1e-6));
+            for (let t = start; t < Math.min(stop, frames); t++) {
+                const idx = t * this.numKeys + key;
+                roll.data[idx] = Math.max(roll.data[idx], note.velocity ?? 1);
+            }
+        });
+
+        return roll;
+    }
+
+    // ---------- Fixed weights ----------
+
+    // Glorot-uniform weights, deterministic for a given key and shape
+    getWeights(key, fanIn, fanOut, count = fanIn * fanOut) {
+        const cacheKey = `${key}|${fanIn}x${fanOut}x${count}`;
+        if (this.weightCache.has(cacheKey)) {
+            return this.weightCache.get(cacheKey);
+        }
+
+        const random = new SeededRandom(cacheKey);
+        const limit = Math.sqrt(6 / (fanIn + fanOut));
+        const weights = new Float32Array(count);
+        for (let i = 0; i < count; i++) {
+            weights[i] = random.range(-limit, limit);
+        }
+
+        this.weightCache.set(cacheKey, weights);
+        return weights;
+    }
+
+    // Small deterministic biases so silent frames still produce some signal
+    getBias(key, size) {
+        const cacheKey = `${key}|bias${size}`;
+        if (this.weightCache.has(cacheKey)) {
+            return this.weightCache.get(cacheKey);
+        }
+
+        const random = new SeededRandom(cacheKey);
+        const bias = new Float32Array(size);
+        for (let i = 0; i < size; i++) {
+            bias[i] = random.range(-0.05, 0.05);
+        }
+
+        this.weightCache.set(cacheKey, bias);
+        return bias;
+    }
+
+    // ---------- Activations ----------
+
+    activate(t, activation) {
+        const out = this.tensor(t.shape, new Float32Array(t.data));
+        const d = out.data;
+
+        switch (activation) {
+            case 'relu':
+                for (let i = 0; i < d.length; i++) d[i] = d[i] > 0 ? d[i] : 0;
+                break;
+            case 'sigmoid':
+                for (let i = 0; i < d.length; i++) d[i] = 1 / (1 + Math.exp(-d[i]));
+                break;
+            case 'tanh':
+                for (let i = 0; i < d.length; i++) d[i] = Math.tanh(d[i]);
+                break;
+            case 'leaky_relu':
+                for (let i = 0; i < d.length; i++) d[i] = d[i] > 0 ? d[i] : 0.2 * d[i];
+                break;
+            case 'softmax':
+                return this.softmaxRows(t);
+            default:
+                break;
+        }
+
+        return out;
+    }
+
+    softmaxRows(t) {
+        const rows = this.rows(t);
+        const cols = this.cols(t);
+        const out = this.tensor(t.shape);
+
+        for (let r = 0; r < rows; r++) {
+            const offset = r * cols;
+            let max = -Infinity;
+            for (let c = 0; c < cols; c++) max = Math.max(max, t.data[offset + c]);
+            let sum = 0;
+            for (let c = 0; c < cols; c++) {
+                const e = Math.exp(t.data[offset + c] - max);
+                out.data[offset + c] = e;
+                sum += e;
+            }
+            for (let c = 0; c < cols; c++) out.data[offset + c] /= sum;
+        }
+
+        return out;
+    }
+
+    // ---------- Layers ----------
+
+    // Fully connected layer applied to the last dimension ([N] or [T, N])
+    dense(x, key, units, activation = null) {
+        const rows = this.rows(x);
+        const inDim = this.cols(x);
+        const W = this.getWeights(key, inDim, units);
+        const b = this.getBias(key, units);
+        const shape = x.shape.length === 1 ? [units] : [rows, units];
+        const out = this.tensor(shape);
+
+        for (let r = 0; r < rows; r++) {
+            const xOff = r * inDim;
+            const oOff = r * units;
+            for (let u = 0; u < units; u++) {
+                const wOff = u * inDim;
+                let sum = b[u];
+                for (let i = 0; i < inDim; i++) {
+                    sum += W[wOff + i] * x.data[xOff + i];
+                }
+                out.data[oOff + u] = sum;
+            }
+        }
+
+        return activation ? this.activate(out, activation) : out;
+    }
+
+    // 1D convolution over time with 'same' padding; stride 2 halves the length (ceil)
+    conv1d(x, key, filters, kernel = 3, activation = null, stride = 1) {
+        const T = this.rows(x);
+        const inC = this.cols(x);
+        const outT = Math.ceil(T / stride);
+        const W = this.getWeights(key, inC * kernel, filters);
+        const b = this.getBias(key, filters);
+        const out = this.tensor([outT, filters]);
+        const pad = Math.floor(kernel / 2);
+
+        for (let ot = 0; ot < outT; ot++) {
+            const center = ot * stride;
+            for (let f = 0; f < filters; f++) {
+                const wOff = f * kernel * inC;
+                let sum = b[f];
+                for (let k = 0; k < kernel; k++) {
+                    const t = center + k - pad;
+                    if (t < 0 || t >= T) continue;
+                    const xOff = t * inC;
+                    const kOff = wOff + k * inC;
+                    for (let c = 0; c < inC; c++) {
+                        sum += W[kOff + c] * x.data[xOff + c];
+                    }
+                }
+                out.data[ot * filters + f] = sum;
+            }
+        }
+
+        return activation ? this.activate(out, activation) : out;
+    }
+
+    // Transposed convolution as nearest-neighbour upsampling followed by a 'same' conv
+    convTranspose1d(x, key, filters, kernel = 3, activation = null, stride = 1, length = null) {
+        const upsampled = stride > 1 ? this.upsample(x, stride, length) : x;
+        return this.conv1d(upsampled, key, filters, kernel, activation);
+    }
+
+    upsample(x, factor, length = null) {
+        const T = this.rows(x);
+        const C = this.cols(x);
+        const outT = length || T * factor;
+        const out = this.tensor([outT, C]);
+
+        for (let t = 0; t < outT; t++) {
+            const src = Math.min(T - 1, Math.floor(t / factor));
+            out.data.set(x.data.subarray(src * C, (src + 1) * C), t * C);
+        }
+
+        return out;
+    }
+
+    // Standard LSTM (gate order i, f, g, o) returning the full hidden sequence
+    // `initial` ({ hidden, cell }) continues from an earlier call instead of a zero state
+    lstm(x, key, units, initial = null) {
+        const T = this.rows(x);
+        const inDim = this.cols(x);
+        const Wx = this.getWeights(`${key}/Wx`, inDim, 4 * units);
+        const Wh = this.getWeights(`${key}/Wh`, units, 4 * units);
+        const b = this.getBias(`${key}/b`, 4 * units);
+
+        const output = this.tensor([T, units]);
+        const cells = this.tensor([T, units]);
+        let h = initial ? Float32Array.from(initial.hidden.data) : new Float32Array(units);
+        let c = initial ? Float32Array.from(initial.cell.data) : new Float32Array(units);
+        const gates = new Float32Array(4 * units);
+        const sigmoid = v => 1 / (1 + Math.exp(-v));
+
+        for (let t = 0; t < T; t++) {
+            const xOff = t * inDim;
+            for (let g = 0; g < 4 * units; g++) {
+                let sum = b[g];
+                const wxOff = g * inDim;
+                for (let i = 0; i < inDim; i++) sum += Wx[wxOff + i] * x.data[xOff + i];
+                const whOff = g * units;
+                for (let i = 0; i < units; i++) sum += Wh[whOff + i] * h[i];
+                gates[g] = sum;
+            }
+
+            const nextH = new Float32Array(units);
+            const nextC = new Float32Array(units);
+            for (let u = 0; u < units; u++) {
+                const inputGate = sigmoid(gates[u]);
+                const forgetGate = sigmoid(gates[units + u] + 1); // forget-bias of 1
+                const candidate = Math.tanh(gates[2 * units + u]);
+                const outputGate = sigmoid(gates[3 * units + u]);
+                nextC[u] = forgetGate * c[u] + inputGate * candidate;
+                nextH[u] = outputGate * Math.tanh(nextC[u]);
+            }
+
+            h = nextH;
+            c = nextC;
+            output.data.set(h, t * units);
+            cells.data.set(c, t * units);
+        }
+
+        return { output, cells, hidden: this.tensor([units], h), cell: this.tensor([units], c) };
+    }
+
+    // Scaled dot-product attention per head with Q/K/V/O projections
+    // With `memory`, keys and values come from it instead of x (encoder–decoder cross-attention)
+    multiHeadAttention(x, key, heads, causal = false, memory = null) {
+        const T = this.rows(x);
+        const d = this.cols(x);
+        const source = memory || x;
+        const S = this.rows(source);
+        const dk = Math.floor(d / heads);
+        const Q = this.dense(x, `${key}/Wq`, d);
+        const K = this.dense(source, `${key}/Wk`, d);
+        const V = this.dense(source, `${key}/Wv`, d);
+        const concat = this.tensor([T, d]);
+        const weights = [];
+        const scale = 1 / Math.sqrt(dk);
+
+        for (let hIdx = 0; hIdx < heads; hIdx++) {
+            const hOff = hIdx * dk;
+            const scores = this.tensor([T, S]);
+
+            for (let i = 0; i < T; i++) {
+                for (let j = 0; j < S; j++) {
+                    if (causal && j > i) {
+                        scores.data[i * S + j] = -Infinity;
+                        continue;
+                    }
+                    let dot = 0;
+                    for (let k = 0; k < dk; k++) {
+                        dot += Q.data[i * d + hOff + k] * K.data[j * d + hOff + k];
+                    }
+                    scores.data[i * S + j] = dot * scale;
+                }
+            }
+
+            const attn = this.softmaxRows(scores);
+            weights.push(attn);
+
+            for (let i = 0; i < T; i++) {
+                for (let k = 0; k < dk; k++) {
+                    let sum = 0;
+                    for (let j = 0; j < S; j++) {
+                        sum += attn.data[i * S + j] * V.data[j * d + hOff + k];
+                    }
+                    concat.data[i * d + hOff + k] = sum;
+                }
+            }
+        }
+
+        return { output: this.dense(concat, `${key}/Wo`, d), weights };
+    }
+
+    // Parameter-free self-attention (Q = K = V = x), used inside residual blocks
+    selfAttention(x) {
+        const T = this.rows(x);
+        const d = this.cols(x);
+        const scores = this.tensor([T, T]);
+        const scale = 1 / Math.sqrt(d);
+
+        for (let i = 0; i < T; i++) {
+            for (let j = 0; j < T; j++) {
+                let dot = 0;
+                for (let k = 0; k < d; k++) dot += x.data[i * d + k] * x.data[j * d + k];
+                scores.data[i * T + j] = dot * scale;
+            }
+        }
+
+        const attn = this.softmaxRows(scores);
+        const out = this.tensor([T, d]);
+        for (let i = 0; i < T; i++) {
+            for (let j = 0; j < T; j++) {
+                const a = attn.data[i * T + j];
+                for (let k = 0; k < d; k++) out.data[i * d + k] += a * x.data[j * d + k];
+            }
+        }
+
+        return out;
+    }
+
+    // Sinusoidal positional encoding PE(pos, 2i) = sin(pos / 10000^(2i/d))
+    positionalEncoding(T, d) {
+        const pe = this.tensor([T, d]);
+        for (let pos = 0; pos < T; pos++) {
+            for (let i = 0; i < d; i += 2) {
+                const angle = pos / Math.pow(10000, i / d);
+                pe.data[pos * d + i] = Math.sin(angle);
+                if (i + 1 < d) pe.data[pos * d + i + 1] = Math.cos(angle);
+            }
+        }
+        return pe;
+    }
+
+    // Sinusoidal embedding of a scalar timestep: [sin(t·ω), cos(t·ω)]
+    timestepEmbedding(t, d) {
+        const emb = this.tensor([d]);
+        const half = Math.floor(d / 2);
+        for (let i = 0; i < half; i++) {
+            const omega = Math.exp(-Math.log(10000) * i / half);
+            emb.data[i] = Math.sin(t * omega);
+            emb.data[half + i] = Math.cos(t * omega);
+        }
+        return emb;
+    }
+
+    // ---------- Elementwise helpers ----------
+
+    add(a, b) {
+        const out = this.tensor(a.shape);
+        for (let i = 0; i < out.data.length; i++) {
+            out.data[i] = a.data[i] + b.data[i % b.data.length];
+        }
+        return out;
+    }
+
+    // Average over the time axis: [T, C] -> [C]
+    meanOverTime(x) {
+        const T = this.rows(x);
+        const C = this.cols(x);
+        const out = this.tensor([C]);
+        for (let t = 0; t < T; t++) {
+            for (let c = 0; c < C; c++) out.data[c] += x.data[t * C + c] / T;
+        }
+        return out;
+    }
+
+    // Crop or zero-pad the time axis to an exact length
+    fitLength(x, length) {
+        const C = this.cols(x);
+        const out = this.tensor([length, C]);
+        out.data.set(x.data.subarray(0, Math.min(x.data.length, length * C)));
+        return out;
+    }
+
+    // Per-row normalization to zero mean and unit variance (γ = 1, β = 0)
+    layerNorm(x, eps = 1e-5) {
+        const R = this.rows(x);
+        const C = this.cols(x);
+        const out = this.tensor(x.shape);
+        for (let r = 0; r < R; r++) {
+            let mean = 0, variance = 0;
+            for (let c = 0; c < C; c++) mean += x.data[r * C + c] / C;
+            for (let c = 0; c < C; c++) variance += (x.data[r * C + c] - mean) ** 2 / C;
+            const scale = 1 / Math.sqrt(variance + eps);
+            for (let c = 0; c < C; c++) out.data[r * C + c] = (x.data[r * C + c] - mean) * scale;
+        }
+        return out;
+    }
+
+    sliceRows(x, start, end) {
+        const C = this.cols(x);
+        return this.tensor([end - start, C], x.data.slice(start * C, end * C));
+    }
+
+    // Stack the rows of b under a (same width)
+    concatRows(a, b) {
+        const data = new Float32Array(a.data.length + b.data.length);
+        data.set(a.data);
+        data.set(b.data, a.data.length);
+        return this.tensor([this.rows(a) + this.rows(b), this.cols(a)], data);
+    }
+
+    stats(t) {
+        let min = Infinity, max = -Infinity, sum = 0;
+        for (let i = 0; i < t.data.length; i++) {
+            const v = t.data[i];
+            if (v < min) min = v;
+            if (v > max) max = v;
+            sum += v;
+        }
+        return { min, max, mean: sum / t.data.length };
+    }
+
+    // Downsample a tensor to at most size×size cells, normalised to [0, 1] for heatmaps
+    activationMap(t, size = 16) {
+        let rows = this.rows(t);
+        let cols = this.cols(t);
+
+        // Fold 1D vectors into a square-ish grid
+        if (t.shape.length === 1) {
+            rows = Math.max(1, Math.floor(Math.sqrt(cols)));
+            cols = Math.ceil(t.data.length / rows);
+        }
+
+        const outRows = Math.min(size, rows);
+        const outCols = Math.min(size, cols);
+        const map = [];
+
+        for (let i = 0; i < outRows; i++) {
+            const row = [];
+            const r0 = Math.floor(i * rows / outRows);
+            const r1 = Math.max(r0 + 1, Math.floor((i + 1) * rows / outRows));
+            for (let j = 0; j < outCols; j++) {
+                const c0 = Math.floor(j * cols / outCols);
+                const c1 = Math.max(c0 + 1, Math.floor((j + 1) * cols / outCols));
+                let sum = 0, count = 0;
+                for (let r = r0; r < r1; r++) {
+                    for (let c = c0; c < c1; c++) {
+                        const idx = r * cols + c;
+                        if (idx < t.data.length) {
+                            sum += t.data[idx];
+                            count++;
+                        }
+                    }
+                }
+                row.push(count ? sum / count : 0);
+            }
+            map.push(row);
+        }
+
+        // Normalise to [0, 1]
+        const flat = map.flat();
+        const min = Math.min(...flat);
+        const range = (Math.max(...flat) - min) || 1;
+        return map.map(row => row.map(v => (v - min) / range));
+    }
+}
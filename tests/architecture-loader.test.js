@@ -0,0 +1,41 @@
+// Run with: node --test tests/
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const { ArchitectureLoader, ShapeInference, ParamCounter } = loadScripts(
+    ['seeded-random.js', 'app-state.js', 'shape-inference.js', 'param-counter.js', 'architecture-loader.js'],
+    ['ArchitectureLoader', 'ShapeInference', 'ParamCounter']);
+const loader = new ArchitectureLoader(new ShapeInference(), new ParamCounter());
+
+function layer(name, inputShape, outputShape, operation = 'Dense(64)') {
+    return { name, type: 'dense', inputShape, outputShape, operation, color: '#00d4ff', formula: 'y = Wx', description: name };
+}
+
+function load(layers) {
+    return loader.load(JSON.stringify({ key: 'Custom', name: 'Custom', layers }));
+}
+
+test('a small architecture loads', () => {
+    const result = load([layer('In', '[T, 88]', '[T, 64]'), layer('Out', '[T, 64]', '[T, 88]', 'Dense(88)')]);
+    assert.deepStrictEqual([...result.errors], []);
+    assert.ok(result.architectures.Custom);
+});
+
+test('oversized widths, T multiples and operation sizes are rejected with the layer named', () => {
+    const result = load([
+        layer('Wide', '[T, 88]', '[T, 100000000]'),
+        layer('Long', '[T, 64]', '[1000T, 64]'),
+        layer('Huge', '[T, 64]', '[T, 64]', 'Dense(100000000)')
+    ]);
+    assert.strictEqual(Object.keys(result.architectures).length, 0);
+    assert.ok(result.errors.some(error => error.includes('"Wide"') && error.includes('100000000')), result.errors.join('\n'));
+    assert.ok(result.errors.some(error => error.includes('"Long"') && error.includes('1000T')), result.errors.join('\n'));
+    assert.ok(result.errors.some(error => error.includes('"Huge"') && error.includes('operation')), result.errors.join('\n'));
+});
+
+test('too many layers are rejected', () => {
+    const layers = Array.from({ length: 65 }, (_, i) => layer(`L${i}`, '[T, 64]', '[T, 64]'));
+    const result = load(layers);
+    assert.ok(result.errors.some(error => error.includes('65 layers')), result.errors.join('\n'));
+});
@@ -0,0 +1,24 @@
+// Run with: node --test tests/
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const scripts = ['seeded-random.js', 'app-state.js', 'tensor-ops.js', 'key-detector.js', 'input-generators.js',
+    'rhythm-grid.js', 'conditioning.js', 'data-generator.js'];
+
+// Notes decoded from the VAE latent of a generated input, as the latent explorer does
+function decodedNotes(style, progression, input) {
+    const { AppState, DataGenerator } = loadScripts(scripts, ['AppState', 'DataGenerator']);
+    Object.assign(AppState, { currentArchitecture: 'VAE', style, progression });
+    const dataGenerator = new DataGenerator();
+    AppState.inputNotes = dataGenerator.generateInput(input);
+    return dataGenerator.decodeLatent(dataGenerator.encodeLatent(AppState.inputNotes), 32).notes;
+}
+
+test('a conditioned decodeLatent still yields notes', () => {
+    ['random', 'arpeggio', 'scale', 'chord'].forEach(input => {
+        [['happy', ''], ['calm', 'C G Am F']].forEach(([style, progression]) => {
+            assert.ok(decodedNotes(style, progression, input).length > 0, `${style} ${progression} on ${input}`);
+        });
+    });
+});
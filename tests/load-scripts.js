@@ -0,0 +1,18 @@
+// Loads the browser scripts into one shared Node context, the way index.html's <script> tags
+// share the page's globals, and returns that context with the named classes exposed on it.
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+function loadScripts(files, names) {
+    const context = { console, Math, Date, setTimeout, clearTimeout, Float32Array, Float64Array, Uint8Array, Map, Set, JSON };
+    context.window = context;
+    vm.createContext(context);
+
+    const root = path.join(__dirname, '..');
+    const code = files.map(file => fs.readFileSync(path.join(root, file), 'utf8')).join('\n;\n');
+    vm.runInContext(`${code}\n;${names.map(name => `globalThis.${name} = ${name};`).join('\n')}`, context);
+    return context;
+}
+
+module.exports = { loadScripts };
@@ -0,0 +1,37 @@
+// Run with: node --test tests/
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const { AppState, ShapeInference } = loadScripts(['seeded-random.js', 'app-state.js', 'shape-inference.js'], ['AppState', 'ShapeInference']);
+const shapes = new ShapeInference();
+
+test('shipped architectures other than Diffusion have no shape issues', () => {
+    Object.entries(AppState.architectures).filter(([key]) => key !== 'Diffusion').forEach(([key, arch]) => {
+        assert.strictEqual(shapes.check(arch, 32).issueCount, 0, key);
+    });
+});
+
+test('Diffusion reports the time embedding feeding the U-Net', () => {
+    const layers = AppState.architectures.Diffusion.layers;
+    const report = shapes.check(AppState.architectures.Diffusion, 32);
+    const down = report.layers[layers.findIndex(layer => layer.type === 'down')];
+
+    assert.ok(report.issueCount > 0);
+    assert.ok(down.issues.some(issue => issue.includes('Time Embedding') && issue.includes('[256]')), down.issues.join('; '));
+});
+
+test('fractions of an odd T are rounding info, not issues', () => {
+    const report = shapes.check(AppState.architectures.GAN, 33);
+    assert.strictEqual(report.issueCount, 0);
+    assert.ok(report.layers.some(layer => layer.roundings.includes('T/4 = 8.25 → 9')));
+});
+
+test('rounding info keeps the dimension as written', () => {
+    const layers = [
+        { name: 'In', inputShape: '[T, 88]', outputShape: '[3T/4, 16]' },
+        { name: 'Out', inputShape: '[3T/4, 16]', outputShape: '[2T/3, 16]' }
+    ];
+    const report = shapes.check({ layers }, 34);
+    assert.deepStrictEqual([...report.layers[1].roundings], ['3T/4 = 25.5 → 26', '2T/3 = 22.67 → 23']);
+});
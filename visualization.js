@@ -8,11 +8,25 @@ class Visualizer {
         this.outputCtx = this.outputCanvas.getContext('2d');
         this.tensorCtx = this.tensorCanvas.getContext('2d');
         
+        // Set by app.js once the interactive input editor exists
+        this.inputEditor = null;
+        
+        // Set by app.js; drawInput / drawOutput then show key, histogram and chord labels
+        this.harmonyAnalyzer = null;
+        
+        // Time gridlines of the output rolls follow the same grid the notes are snapped to
+        this.rhythm = new RhythmGrid();
+        
+        // Heatmap shown in the layer overlay for a clicked attention head
+        this.attentionMap = null;
+        this.setupAttentionHover();
+        
         this.setupCanvases();
         
         // Add resize handler
         window.addEventListener('resize', () => {
             this.setupCanvases();
+            this.drawInput(AppState.inputNotes);
         });
     }
     
@@ -45,7 +59,8 @@ class Visualizer {
         });
     }
     
-    drawPianoRoll(ctx, canvas, notes, title = '') {
+    // `duration` (seconds) fixes the time axis, e.g. while an output is still being generated
+    drawPianoRoll(ctx, canvas, notes, title = '', duration = 0, chords = []) {
         const w = canvas.offsetWidth;
         const h = canvas.offsetHeight;
         
@@ -53,19 +68,28 @@ class Visualizer {
         ctx.fillStyle = '#000';
         ctx.fillRect(0, 0, w, h);
         
+        // Time span: the notes or the requested duration, two bars when there is neither
+        const noteEnd = notes && notes.length > 0 ? Math.max(...notes.map(n => n.time + n.duration)) : 0;
+        const maxTime = Math.max(duration, noteEnd) || 8 * 60 / AppState.bpm;
+        
         // Draw grid
-        ctx.strokeStyle = '#1a1a1a';
         ctx.lineWidth = 1;
         
-        // Vertical lines (time)
-        for (let x = 0; x < w; x += w / 16) {
+        // Vertical lines (time) on the rhythm grid; steps only when they are far enough apart
+        const lines = this.rhythm.lines(maxTime);
+        const showSteps = lines.length < w / 4;
+        lines.forEach(line => {
+            if (!line.beat && !showSteps) return;
+            const x = (line.time / maxTime) * w;
+            ctx.strokeStyle = line.bar ? '#333' : line.beat ? '#222' : '#141414';
             ctx.beginPath();
             ctx.moveTo(x, 0);
             ctx.lineTo(x, h);
             ctx.stroke();
-        }
+        });
         
         // Horizontal lines (pitch)
+        ctx.strokeStyle = '#1a1a1a';
         for (let y = 0; y < h; y += h / 12) {
             ctx.beginPath();
             ctx.moveTo(0, y);
@@ -86,8 +110,6 @@ class Visualizer {
         if (!notes || notes.length === 0) return;
         
         // Calculate bounds
-        const times = notes.map(n => n.time + n.duration);
-        const maxTime = Math.max(...times);
         const pitches = notes.map(n => n.pitch);
         const minPitch = Math.min(...pitches);
         const maxPitch = Math.max(...pitches);
@@ -100,26 +122,11 @@ class Visualizer {
             const y = h - ((note.pitch - minPitch) / pitchRange) * h;
             const noteHeight = Math.max(h / pitchRange * 0.8, 3);
             
-            // Color based on pitch and velocity
-            const hue = ((note.pitch - 36) / 60) * 280;
-            const saturation = 100;
-            const lightness = 40 + (note.velocity * 30);
-            
-            // Glow effect
-            ctx.shadowBlur = 15;
-            ctx.shadowColor = `hsl(${hue}, ${saturation}%, ${lightness + 20}%)`;
-            
-            // Note rectangle
-            ctx.fillStyle = `hsl(${hue}, ${saturation}%, ${lightness}%)`;
-            ctx.fillRect(x, y - noteHeight/2, noteWidth, noteHeight);
-            
-            // Bright edge
-            ctx.fillStyle = `hsla(${hue}, ${saturation}%, ${lightness + 30}%, 0.8)`;
-            ctx.fillRect(x, y - noteHeight/2, 2, noteHeight);
-            
-            ctx.shadowBlur = 0;
+            this.drawNote(ctx, x, y, noteWidth, noteHeight, note);
         });
         
+        this.drawChordLabels(ctx, chords, t => (t / maxTime) * w);
+        
         // Title
         if (title) {
             ctx.fillStyle = '#00d4ff';
@@ -128,8 +135,37 @@ class Visualizer {
         }
     }
     
+    // Note rectangle centred on y, coloured by track (shaded a little by pitch) and velocity
+    drawNote(ctx, x, y, noteWidth, noteHeight, note) {
+        const track = AppState.tracks[AppState.trackId(note)];
+        const hue = track.hue + Math.max(-20, Math.min(20, (note.pitch - 60) / 2));
+        const saturation = 100;
+        const lightness = 40 + (note.velocity * 30);
+        
+        // Glow effect
+        ctx.shadowBlur = 15;
+        ctx.shadowColor = `hsl(${hue}, ${saturation}%, ${lightness + 20}%)`;
+        
+        // Note rectangle
+        ctx.fillStyle = `hsl(${hue}, ${saturation}%, ${lightness}%)`;
+        ctx.fillRect(x, y - noteHeight/2, noteWidth, noteHeight);
+        
+        // Bright edge
+        ctx.fillStyle = `hsla(${hue}, ${saturation}%, ${lightness + 30}%, 0.8)`;
+        ctx.fillRect(x, y - noteHeight/2, 2, noteHeight);
+        
+        ctx.shadowBlur = 0;
+    }
+    
     drawInput(notes) {
-        this.drawPianoRoll(this.inputCtx, this.inputCanvas, notes, '');
+        const analysis = this.analyze(notes);
+        const chords = analysis ? analysis.chords : [];
+        if (this.inputEditor) {
+            this.inputEditor.draw(notes || [], chords);
+        } else {
+            this.drawPianoRoll(this.inputCtx, this.inputCanvas, notes, '', 0, chords);
+        }
+        this.drawAnalysis('input', analysis);
         
         // Update info
         if (notes && notes.length > 0) {
@@ -137,11 +173,17 @@ class Visualizer {
             document.getElementById('input-notes').textContent = notes.length;
             const duration = notes[notes.length - 1].time + notes[notes.length - 1].duration;
             document.getElementById('input-duration').textContent = duration.toFixed(1) + 's';
+        } else {
+            document.getElementById('input-shape').textContent = '[0, 88]';
+            document.getElementById('input-notes').textContent = '0';
+            document.getElementById('input-duration').textContent = '0.0s';
         }
     }
     
-    drawOutput(notes) {
-        this.drawPianoRoll(this.outputCtx, this.outputCanvas, notes, '');
+    drawOutput(notes, duration = 0) {
+        const analysis = this.analyze(notes);
+        this.drawPianoRoll(this.outputCtx, this.outputCanvas, notes, '', duration, analysis ? analysis.chords : []);
+        this.drawAnalysis('output', analysis);
         
         // Update info
         if (notes && notes.length > 0) {
@@ -150,6 +192,288 @@ class Visualizer {
         }
     }
     
+    // ---------- Harmony ----------
+    
+    // Drums carry no key or harmony, so only pitched tracks are analysed
+    analyze(notes) {
+        if (!this.harmonyAnalyzer || !notes) return null;
+        return this.harmonyAnalyzer.analyze(AppState.pitchedNotes(notes), 60 / AppState.bpm);
+    }
+    
+    // Chord symbols along the top of a piano roll, with a tick where each chord starts
+    drawChordLabels(ctx, chords, timeToX) {
+        ctx.font = 'bold 10px Inter';
+        chords.forEach(chord => {
+            const x = timeToX(chord.start);
+            const width = timeToX(chord.end) - x;
+            
+            ctx.strokeStyle = 'rgba(255, 204, 0, 0.35)';
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.moveTo(x + 0.5, 0);
+            ctx.lineTo(x + 0.5, 14);
+            ctx.stroke();
+            
+            const textWidth = ctx.measureText(chord.symbol).width;
+            if (textWidth + 4 > width) return;
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+            ctx.fillRect(x + 1, 1, textWidth + 4, 12);
+            ctx.fillStyle = '#ffcc00';
+            ctx.fillText(chord.symbol, x + 3, 11);
+        });
+    }
+    
+    // Key, pitch-class histogram and chord progression under the input or output roll
+    // (`prefix` is 'input' or 'output'); null clears them
+    drawAnalysis(prefix, analysis) {
+        const canvas = document.getElementById(`${prefix}-histogram`);
+        const ctx = canvas.getContext('2d');
+        canvas.width = canvas.offsetWidth * window.devicePixelRatio;
+        canvas.height = canvas.offsetHeight * window.devicePixelRatio;
+        ctx.scale(window.devicePixelRatio, window.devicePixelRatio);
+        const w = canvas.offsetWidth;
+        const h = canvas.offsetHeight;
+        
+        ctx.fillStyle = '#000';
+        ctx.fillRect(0, 0, w, h);
+        
+        document.getElementById(`${prefix}-key`).textContent = analysis
+            ? `${analysis.key.name} (r = ${analysis.key.correlation.toFixed(2)})` : '-';
+        document.getElementById(`${prefix}-chords`).textContent = analysis && analysis.chords.length > 0
+            ? analysis.chords.map(c => c.symbol).join(' · ') : '-';
+        if (!analysis) return;
+        
+        // Bars per pitch class; pitch classes in the detected key are green
+        const keyDetector = this.harmonyAnalyzer.keyDetector;
+        const inKey = keyDetector.pitchClasses(analysis.key.root, analysis.key.mode);
+        const max = Math.max(...analysis.histogram) || 1;
+        const barWidth = w / 12;
+        ctx.font = '8px monospace';
+        ctx.textAlign = 'center';
+        analysis.histogram.forEach((share, pc) => {
+            const barHeight = (share / max) * (h - 12);
+            ctx.fillStyle = inKey[pc] ? '#00ff88' : '#ff6644';
+            ctx.fillRect(pc * barWidth + 1, h - 10 - barHeight, barWidth - 2, barHeight);
+            ctx.fillStyle = pc === analysis.key.root ? '#fff' : '#777';
+            ctx.fillText(keyDetector.noteNames[pc], (pc + 0.5) * barWidth, h - 1);
+        });
+        ctx.textAlign = 'left';
+    }
+    
+    // Metrics table (#metrics-table): a row per MusicMetrics value, a column per
+    // { title, label, metrics, divergence } (metrics null shows dashes)
+    showMetrics(columns) {
+        const percent = x => `${Math.round(x * 100)}%`;
+        const rows = [
+            ['Pitch range', m => `${m.pitchRange} st`],
+            ['PC entropy', m => `${m.entropy.toFixed(2)} b`],
+            ['Density', m => `${m.density.toFixed(2)}/beat`],
+            ['Polyphony', m => `${m.polyphony.toFixed(1)} (≤${m.maxPolyphony})`],
+            ['In scale', m => percent(m.scaleConsistency), m => m.scaleName],
+            ['Self-similarity', m => m.selfSimilarity === null ? '-' : m.selfSimilarity.toFixed(2)],
+            ['Repetition', m => m.repetition === null ? '-' : percent(m.repetition)]
+        ];
+        
+        // Built with textContent: column labels carry architecture names, which may come from loaded JSON
+        const table = document.getElementById('metrics-table');
+        table.replaceChildren();
+        const addRow = cells => {
+            const tr = document.createElement('tr');
+            cells.forEach(({ tag = 'td', text = '', title }) => {
+                const cell = document.createElement(tag);
+                cell.textContent = text;
+                if (title) cell.title = title;
+                tr.appendChild(cell);
+            });
+            table.appendChild(tr);
+        };
+        
+        addRow([{ tag: 'th' }, ...columns.map(c => ({ tag: 'th', text: c.title, title: c.label || c.title }))]);
+        rows.forEach(([name, format, hint]) => {
+            addRow([{ tag: 'th', text: name }, ...columns.map(c => c.metrics
+                ? { text: format(c.metrics), title: hint && hint(c.metrics) }
+                : { text: '-' })]);
+        });
+        addRow([
+            { tag: 'th', text: 'KL to input', title: 'KL divergence D(output ‖ input) of the pitch-class histograms, in bits' },
+            ...columns.map(c => ({ text: c.divergence == null ? '-' : c.divergence.toFixed(3) }))
+        ]);
+        document.getElementById('metrics-section').style.display = 'block';
+    }
+    
+    // A [T, 88] roll of real values (e.g. a diffusion state xₜ) as a heatmap over all 88 keys:
+    // cyan for positive values, red for negative ones
+    drawRollTensor(roll, title = '') {
+        const ctx = this.outputCtx;
+        const w = this.outputCanvas.offsetWidth;
+        const h = this.outputCanvas.offsetHeight;
+        const [frames, keys] = roll.shape;
+        const cellW = w / frames;
+        const cellH = h / keys;
+        
+        ctx.fillStyle = '#000';
+        ctx.fillRect(0, 0, w, h);
+        
+        for (let t = 0; t < frames; t++) {
+            for (let k = 0; k < keys; k++) {
+                const value = roll.data[t * keys + k];
+                const alpha = Math.min(1, Math.abs(value));
+                if (alpha < 0.05) continue;
+                ctx.fillStyle = value > 0 ? `rgba(0, 212, 255, ${alpha})` : `rgba(255, 60, 90, ${alpha * 0.6})`;
+                ctx.fillRect(t * cellW, h - (k + 1) * cellH, Math.ceil(cellW), Math.ceil(cellH));
+            }
+        }
+        
+        if (title) {
+            ctx.fillStyle = '#fff';
+            ctx.font = 'bold 12px Inter';
+            ctx.fillText(title, 8, 16);
+        }
+        
+        document.getElementById('output-shape').textContent = `[${frames}, ${keys}]`;
+    }
+    
+    // What an autoregressive model looked at for its latest frame: the LSTM hidden state hₜ
+    // as bars, or the Transformer's attention from the newest frame over its context window
+    drawGenerationState(step, total) {
+        const canvas = document.getElementById('generation-canvas');
+        const ctx = canvas.getContext('2d');
+        canvas.width = canvas.offsetWidth * window.devicePixelRatio;
+        canvas.height = canvas.offsetHeight * window.devicePixelRatio;
+        ctx.scale(window.devicePixelRatio, window.devicePixelRatio);
+        const w = canvas.offsetWidth;
+        const h = canvas.offsetHeight;
+        
+        ctx.fillStyle = '#000';
+        ctx.fillRect(0, 0, w, h);
+        ctx.font = '10px Inter';
+        
+        if (step.hidden) {
+            const values = step.hidden.data;
+            const barW = w / values.length;
+            values.forEach((v, i) => {
+                const barH = Math.min(1, Math.abs(v)) * (h / 2 - 12);
+                ctx.fillStyle = v >= 0 ? '#00d4ff' : '#ff3c5a';
+                ctx.fillRect(i * barW, v >= 0 ? h / 2 - barH : h / 2, Math.max(barW, 1), barH);
+            });
+            ctx.fillStyle = '#ccc';
+            ctx.fillText(`LSTM hidden state hₜ (${values.length} units)`, 6, 12);
+        } else if (step.attention) {
+            const [start, end] = step.window;
+            const weights = step.attention;
+            const max = Math.max(...weights);
+            const cellW = w / weights.length;
+            weights.forEach((weight, j) => {
+                const barH = (weight / max) * (h - 30);
+                ctx.fillStyle = `rgba(255, 0, 255, ${0.3 + 0.7 * weight / max})`;
+                ctx.fillRect(j * cellW + 1, h - 14 - barH, cellW - 2, barH);
+            });
+            ctx.fillStyle = '#ccc';
+            ctx.fillText(`Causal context: frames ${start}–${end - 1} → frame ${end}`, 6, 12);
+            ctx.fillStyle = '#666';
+            ctx.fillText('older', 4, h - 3);
+            ctx.fillText('newest', w - 38, h - 3);
+        }
+        
+        document.getElementById('generation-progress').textContent = `Frame ${step.token.frame + 1} / ${total}`;
+    }
+    
+    // One head's [T, T] attention weights as a heatmap in the layer overlay: rows are queries,
+    // columns are keys, both labelled with the note sounding in that frame
+    // `labels` name the columns and, unless `rowLabels` are given, the rows too
+    showAttentionMap({ title, weights, labels, rowLabels = null, frameDuration }) {
+        const overlay = document.getElementById('layer-info');
+        overlay.style.display = 'block';
+        overlay.classList.add('attention');
+        document.getElementById('layer-title').textContent = title;
+        document.getElementById('attention-caption').textContent = 'Hover a cell to find its notes on the input roll';
+        
+        this.attentionMap = { weights, labels, rowLabels: rowLabels || labels, frameDuration, margin: 34 };
+        this.drawAttentionMap(null);
+    }
+    
+    drawAttentionMap(hover) {
+        const canvas = document.getElementById('attention-canvas');
+        const ctx = canvas.getContext('2d');
+        canvas.width = canvas.offsetWidth * window.devicePixelRatio;
+        canvas.height = canvas.offsetHeight * window.devicePixelRatio;
+        ctx.scale(window.devicePixelRatio, window.devicePixelRatio);
+        
+        const { weights, labels, rowLabels, margin } = this.attentionMap;
+        const [T, S] = weights.shape;
+        const size = canvas.offsetWidth - margin;
+        const cellW = size / S;
+        const cellH = size / T;
+        const max = Math.max(...weights.data);
+        
+        ctx.fillStyle = '#000';
+        ctx.fillRect(0, 0, canvas.offsetWidth, canvas.offsetHeight);
+        
+        for (let i = 0; i < T; i++) {
+            for (let j = 0; j < S; j++) {
+                const v = weights.data[i * S + j] / (max || 1);
+                ctx.fillStyle = `rgb(${Math.round(255 * v)}, ${Math.round(40 * v)}, ${Math.round(255 * Math.sqrt(v))})`;
+                ctx.fillRect(margin + j * cellW, margin + i * cellH, Math.ceil(cellW), Math.ceil(cellH));
+            }
+        }
+        
+        // Label as many rows/columns as fit
+        const every = Math.max(1, Math.ceil(10 / Math.min(cellW, cellH)));
+        ctx.fillStyle = '#aaa';
+        ctx.font = '8px monospace';
+        ctx.textAlign = 'right';
+        for (let i = 0; i < T; i += every) {
+            ctx.fillText(rowLabels[i], margin - 3, margin + (i + 0.5) * cellH + 3);
+        }
+        ctx.save();
+        ctx.translate(margin, margin - 3);
+        ctx.rotate(-Math.PI / 2);
+        ctx.textAlign = 'left';
+        for (let j = 0; j < S; j += every) {
+            ctx.fillText(labels[j], 0, (j + 0.5) * cellW + 3);
+        }
+        ctx.restore();
+        ctx.textAlign = 'left';
+        
+        if (hover) {
+            ctx.strokeStyle = '#00d4ff';
+            ctx.strokeRect(margin, margin + hover.i * cellH, size, cellH);
+            ctx.strokeStyle = '#ff00ff';
+            ctx.strokeRect(margin + hover.j * cellW, margin, cellW, size);
+        }
+    }
+    
+    // Hovering cell (i, j) marks the query frame (cyan) and key frame (magenta) on the input roll
+    setupAttentionHover() {
+        const canvas = document.getElementById('attention-canvas');
+        
+        canvas.addEventListener('mousemove', (e) => {
+            if (!this.attentionMap) return;
+            const { weights, labels, rowLabels, frameDuration, margin } = this.attentionMap;
+            const [T, S] = weights.shape;
+            const size = canvas.offsetWidth - margin;
+            const i = Math.floor((e.offsetY - margin) / (size / T));
+            const j = Math.floor((e.offsetX - margin) / (size / S));
+            if (i < 0 || j < 0 || i >= T || j >= S) return;
+            
+            this.drawAttentionMap({ i, j });
+            document.getElementById('attention-caption').textContent =
+                `Frame ${i} (${rowLabels[i]}) attends to frame ${j} (${labels[j]}) with weight ${weights.data[i * S + j].toFixed(3)}`;
+            if (this.inputEditor) {
+                this.inputEditor.setHighlight([
+                    { start: i * frameDuration, end: (i + 1) * frameDuration, color: '#00d4ff' },
+                    { start: j * frameDuration, end: (j + 1) * frameDuration, color: '#ff00ff' }
+                ]);
+            }
+        });
+        
+        canvas.addEventListener('mouseleave', () => {
+            if (!this.attentionMap) return;
+            this.drawAttentionMap(null);
+            if (this.inputEditor) this.inputEditor.setHighlight([]);
+        });
+    }
+    
     drawTensorActivation(activationMap) {
         if (!activationMap) {
             console.log('No activation map provided');
@@ -212,13 +536,15 @@ class Visualizer {
         // Show layer overlay
         const overlay = document.getElementById('layer-info');
         overlay.style.display = 'block';
+        overlay.classList.remove('attention');
         
         // Update content
         document.getElementById('layer-title').textContent = layer.name;
-        document.getElementById('detail-input').textContent = layer.inputShape;
+        const report = AppState.shapeReport && AppState.shapeReport.layers[stepIndex];
+        document.getElementById('detail-input').textContent = report ? `${layer.inputShape} = ${report.concreteInput}` : layer.inputShape;
         document.getElementById('detail-operation').textContent = layer.operation;
-        document.getElementById('detail-output').textContent = layer.outputShape;
-        document.getElementById('detail-params').textContent = layer.params.toLocaleString();
+        document.getElementById('detail-output').textContent = report ? `${layer.outputShape} = ${report.concreteOutput}` : layer.outputShape;
+        this.updateParamDetails(layer, stepIndex);
         document.getElementById('formula-text').textContent = layer.formula;
         
         // Always show tensor preview with meaningful data
@@ -240,6 +566,36 @@ class Visualizer {
         document.getElementById('explanation').textContent = layer.description;
     }
     
+    // Derived counts replace the hand-typed `params`, which are only shown when they disagree
+    updateParamDetails(layer, stepIndex) {
+        const paramsEl = document.getElementById('detail-params');
+        const splitEl = document.getElementById('detail-param-split');
+        const totalEl = document.getElementById('detail-param-total');
+        const report = AppState.paramReport;
+        const counted = report && report.layers[stepIndex];
+        
+        if (!counted) {
+            paramsEl.textContent = layer.params.toLocaleString();
+            paramsEl.classList.remove('mismatch');
+            splitEl.textContent = '-';
+            totalEl.textContent = '-';
+            return;
+        }
+        
+        if (counted.unknown.length > 0) {
+            paramsEl.textContent = `${layer.params.toLocaleString()} (can't derive: ${counted.unknown.join(', ')})`;
+        } else if (counted.mismatch) {
+            paramsEl.textContent = `${counted.total.toLocaleString()} ⚠ declared ${layer.params.toLocaleString()}`;
+        } else {
+            paramsEl.textContent = counted.total.toLocaleString();
+        }
+        paramsEl.classList.toggle('mismatch', counted.mismatch);
+        
+        splitEl.textContent = `${counted.weights.toLocaleString()} / ${counted.biases.toLocaleString()}`;
+        totalEl.textContent = `${report.total.toLocaleString()} (T=${report.T})` +
+            (report.mismatchCount > 0 ? ` · ${report.mismatchCount} layer${report.mismatchCount > 1 ? 's' : ''} differ from declared` : '');
+    }
+    
     drawTensorWithInfo(activation, layer, layerData, stepIndex) {
         const canvas = document.getElementById('tensor-canvas');
         const ctx = canvas.getContext('2d');
@@ -270,7 +626,19 @@ class Visualizer {
             ctx.fillStyle = '#ffaa00';
             ctx.font = '11px monospace';
             
-            if (Array.isArray(layerData.data)) {
+            if (layerData.shape) {
+                const tensor = layerData.data.z || layerData.data;
+                const stats = dataGenerator.ops.stats(tensor);
+                ctx.fillText(`Tensor: [${layerData.shape.join(', ')}]`, 10, 65);
+                ctx.fillText(`min=${stats.min.toFixed(2)} mean=${stats.mean.toFixed(2)} max=${stats.max.toFixed(2)}`, 10, 80);
+                
+                // GAN discriminator output for both pieces
+                if (layerData.details && layerData.details.scores) {
+                    const { real, fake } = layerData.details.scores;
+                    ctx.fillStyle = '#ff4488';
+                    ctx.fillText(`D(real)=${real.toFixed(3)} D(fake)=${fake.toFixed(3)}`, 10, 95);
+                }
+            } else if (Array.isArray(layerData.data)) {
                 ctx.fillText(`Data points: ${layerData.data.length}`, 10, 65);
                 if (layerData.data.length > 0) {
                     const sample = layerData.data[0];
@@ -319,14 +687,28 @@ class Visualizer {
                 badgeColor = '#666';
             }
             
+            const report = AppState.shapeReport && AppState.shapeReport.layers[index];
+            const concrete = report ? `
+                <div class="layer-shape concrete">${this.escape(`T=${AppState.shapeReport.T}: ${report.concreteInput} → ${report.concreteOutput}${report.roundings.map(r => ` · ${r}`).join('')}`)}</div>` : '';
+            const counted = AppState.paramReport && AppState.paramReport.layers[index];
+            const issueList = [
+                ...(report ? report.issues : []),
+                ...(counted && counted.mismatch ? [`Declared ${layer.params.toLocaleString()} params, operation gives ${counted.total.toLocaleString()}`] : [])
+            ];
+            const issues = issueList.map(issue => `
+                <div class="layer-issue">⚠ ${this.escape(issue)}</div>`).join('');
+            if (issueList.length > 0) {
+                item.classList.add('has-issue');
+            }
+            
             item.innerHTML = `
                 <div class="layer-item-header">
-                    <span class="layer-name">${index + 1}. ${layer.name}</span>
+                    <span class="layer-name">${index + 1}. ${this.escape(layer.name)}</span>
                     <span class="layer-badge" style="background: ${badgeColor}22; color: ${badgeColor};">
                         ${badgeText}
                     </span>
                 </div>
-                <div class="layer-shape">${layer.inputShape} → ${layer.outputShape}</div>
+                <div class="layer-shape">${this.escape(`${layer.inputShape} → ${layer.outputShape}`)}</div>${concrete}${issues}
             `;
             
             item.addEventListener('click', () => {
@@ -339,6 +721,15 @@ class Visualizer {
         });
     }
     
+    // Names, shapes and issues of architectures loaded from JSON go into markup escaped
+    escape(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+    
     showLoadingAnimation() {
         // Add pulsing effect to progress bar
         document.getElementById('progress-fill').classList.add('pulsing');
@@ -352,11 +743,12 @@ class Visualizer {
         // Generate heatmap data for tensor visualization
         const size = 16;
         const map = [];
+        const random = AppState.createRandom(`activation/${stepIndex}`);
         
         for (let i = 0; i < size; i++) {
             const row = [];
             for (let j = 0; j < size; j++) {
-                const value = Math.random() * 0.7 + 0.3 * Math.sin((i + j) * 0.5 + stepIndex);
+                const value = random.next() * 0.7 + 0.3 * Math.sin((i + j) * 0.5 + stepIndex);
                 row.push(Math.max(0, Math.min(1, value)));
             }
             map.push(row);